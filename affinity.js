@@ -0,0 +1,32 @@
+// Room affinity for running the server as several processes (cluster.js).
+// Every room belongs to one worker, picked by hashing the room id. The
+// primary routes all of a room's HTTP requests and socket connections to
+// that worker, so the room's state and round timers live in one process.
+
+// Routes that carry a room id in the path
+const ROOM_PATH = /^\/(?:play|present|cohost|api\/(?:upload|image|settings|export|report|import|room|reveal|round-image))\/([\w-]+)/;
+
+// FNV-1a - cheap, and stable across processes and restarts
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function roomWorker(roomId, workerCount) {
+  return hashString(roomId) % workerCount;
+}
+
+// Room id a request is about: from the path, or the roomId query parameter
+// socket.io clients send. null for requests that aren't about a room.
+function roomIdFromUrl(url) {
+  const [pathname, query = ''] = url.split('?');
+  const match = ROOM_PATH.exec(pathname);
+  if (match) return match[1];
+  return new URLSearchParams(query).get('roomId') || null;
+}
+
+module.exports = { hashString, roomWorker, roomIdFromUrl };
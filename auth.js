@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Host credentials. A host token is "<roomId>.<key>.<signature>", signed
+// with a server secret; the room keeps the keys it accepts (the original
+// host's plus any co-hosts'). Browsers carry the token in an HttpOnly
+// cookie per room, scripts can send it as a bearer token instead.
+
+const COOKIE_MAX_AGE = 3 * 60 * 60; // seconds - rooms expire after 3 hours
+
+// HOST_SECRET from the environment, otherwise one generated on first start
+// and kept in the data dir so tokens survive a restart along with the rooms
+function loadSecret(dir) {
+  if (process.env.HOST_SECRET) return process.env.HOST_SECRET;
+  const file = path.join(dir, 'host-secret');
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (err) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+// Constant-time string comparison for secrets
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function createHostAuth(secret) {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  return {
+    issue(roomId, key) {
+      const payload = `${roomId}.${key}`;
+      return `${payload}.${sign(payload)}`;
+    },
+
+    // { roomId, key } for a correctly signed token, otherwise null
+    verify(token) {
+      if (typeof token !== 'string') return null;
+      const parts = token.split('.');
+      if (parts.length !== 3) return null;
+      const [roomId, key, signature] = parts;
+      return safeEqual(signature, sign(`${roomId}.${key}`)) ? { roomId, key } : null;
+    }
+  };
+}
+
+// ==================== COOKIES ====================
+
+function cookieName(roomId) {
+  return `gtp_host_${roomId}`;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const pair of (header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index < 0) continue;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (err) {
+      // Malformed value - ignore the cookie
+    }
+  }
+  return cookies;
+}
+
+function hostCookie(roomId, token, { secure = false, maxAge = COOKIE_MAX_AGE } = {}) {
+  const attributes = [`Max-Age=${maxAge}`, 'Path=/', 'HttpOnly', 'SameSite=Strict'];
+  if (secure) attributes.push('Secure');
+  return `${cookieName(roomId)}=${encodeURIComponent(token)}; ${attributes.join('; ')}`;
+}
+
+// Bearer token if the request has one, otherwise the room's host cookie
+function tokenFromRequest(req, roomId) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return parseCookies(req.headers.cookie)[cookieName(roomId)] || null;
+}
+
+module.exports = { loadSecret, safeEqual, createHostAuth, cookieName, parseCookies, hostCookie, tokenFromRequest };
@@ -0,0 +1,146 @@
+const AdmZip = require('adm-zip');
+
+// Portable question-set bundle: a ZIP holding manifest.json plus images/.
+//
+// manifest.json
+//   { format: 'guess-the-place', version: 1, settings: {...},
+//     images: [{ file: 'images/001.jpg', answer, aliases, rejected, location }] }
+//
+// Image entries carry every per-image field a room image has (minus the
+// bytes), so the server re-validates them on import like any upload.
+
+const FORMAT = 'guess-the-place';
+const VERSION = 1;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// A ZIP is small on the wire but can inflate to far more, so the manifest's
+// claims are checked against these before anything is inflated
+const MAX_IMAGES = 20; // same as one upload
+const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+
+const MIME_BY_EXT = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+const EXT_BY_MIME = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Thrown for anything wrong with an uploaded bundle; the message is shown to the host
+class BundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BundleError';
+  }
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+// images: [{ buffer, mimetype, ...labels }], settings: room.settings -> ZIP buffer
+function createBundle({ images, settings }) {
+  const zip = new AdmZip();
+  const manifest = {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    images: []
+  };
+
+  images.forEach(({ buffer, mimetype, ...labels }, i) => {
+    const file = `images/${String(i + 1).padStart(3, '0')}.${EXT_BY_MIME[mimetype] || 'img'}`;
+    zip.addFile(file, buffer);
+    manifest.images.push({ file, ...labels });
+  });
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  return zip.toBuffer();
+}
+
+// ZIP buffer -> { settings, images: [{ read, mimetype, ...raw labels }] }.
+// Images are inflated one at a time by calling read(), which returns the
+// bytes. Both throw BundleError.
+function readBundle(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+    zip.getEntries();
+  } catch (err) {
+    throw new BundleError('File is not a valid ZIP archive');
+  }
+
+  const manifestEntry = zip.getEntry('manifest.json');
+  if (!manifestEntry) throw new BundleError('Bundle is missing manifest.json');
+  // adm-zip only caps inflating at the size an entry claims when that isn't 0
+  if (!(manifestEntry.header.size > 0 && manifestEntry.header.size <= MAX_MANIFEST_BYTES)) {
+    throw new BundleError('manifest.json is empty or larger than 1MB');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+  } catch (err) {
+    throw new BundleError('manifest.json is not valid JSON');
+  }
+
+  if (!manifest || manifest.format !== FORMAT) {
+    throw new BundleError(`manifest.json is not a ${FORMAT} bundle`);
+  }
+  if (manifest.version !== VERSION) {
+    throw new BundleError(`Unsupported bundle version ${manifest.version} (expected ${VERSION})`);
+  }
+  if (!Array.isArray(manifest.images) || manifest.images.length === 0) {
+    throw new BundleError('manifest.json lists no images');
+  }
+  if (manifest.images.length > MAX_IMAGES) {
+    throw new BundleError(`manifest.json lists ${manifest.images.length} images (at most ${MAX_IMAGES})`);
+  }
+
+  let totalBytes = 0;
+
+  const images = manifest.images.map((entry, i) => {
+    const label = `Image #${i + 1}`;
+    if (!entry || typeof entry.file !== 'string') throw new BundleError(`${label} has no "file"`);
+    if (typeof entry.answer !== 'string' || !entry.answer.trim()) throw new BundleError(`${label} has no answer`);
+    for (const key of ['aliases', 'rejected']) {
+      if (entry[key] !== undefined && !isStringArray(entry[key])) {
+        throw new BundleError(`${label} has an invalid "${key}" list (expected an array of strings)`);
+      }
+    }
+
+    const mimetype = MIME_BY_EXT[entry.file.split('.').pop().toLowerCase()];
+    if (!mimetype) throw new BundleError(`${label} (${entry.file}) is not a supported image type`);
+
+    const fileEntry = zip.getEntry(entry.file);
+    if (!fileEntry || fileEntry.isDirectory) throw new BundleError(`${label} references missing file ${entry.file}`);
+    if (fileEntry.header.size === 0) throw new BundleError(`${label} (${entry.file}) is empty`);
+    if (fileEntry.header.size > MAX_IMAGE_BYTES) throw new BundleError(`${label} (${entry.file}) is larger than 5MB`);
+    totalBytes += fileEntry.header.size;
+    if (totalBytes > MAX_TOTAL_BYTES) throw new BundleError('Bundle images add up to more than 50MB');
+
+    // A damaged entry only shows up when it is inflated
+    const read = () => {
+      try {
+        return fileEntry.getData();
+      } catch (err) {
+        throw new BundleError(`${label} (${entry.file}) is damaged and can't be read`);
+      }
+    };
+
+    const { file, ...labels } = entry;
+    return { ...labels, read, mimetype };
+  });
+
+  const settings = manifest.settings && typeof manifest.settings === 'object' ? manifest.settings : {};
+  return { settings, images };
+}
+
+module.exports = { createBundle, readBundle, BundleError };
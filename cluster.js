@@ -0,0 +1,144 @@
+const cluster = require('cluster');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { hashString, roomWorker, roomIdFromUrl } = require('./affinity');
+const { loadSecret } = require('./auth');
+
+// Runs the game as several worker processes (WORKERS, default one per CPU)
+// behind this primary, which owns the port and proxies every request to the
+// worker that owns its room (see affinity.js). Workers share DATA_DIR, and
+// broadcasts between them go through the cluster adapter's IPC broker.
+//
+//   WORKERS=4 node cluster.js
+
+const WORKER_COUNT = parseInt(process.env.WORKERS) || os.cpus().length;
+const PORT = process.env.PORT || 3000;
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+cluster.setupPrimary({ exec: path.join(__dirname, 'server.js') });
+
+// Messages between the workers' socket.io adapters
+setupPrimary();
+
+// Create the host-token secret once here, so the workers don't race to write it
+loadSecret(DATA_DIR);
+
+const workers = [];
+const workerPorts = []; // index -> loopback port the worker listens on, once it is up
+let shuttingDown = false;
+
+function fork(index) {
+  workerPorts[index] = null;
+  const worker = cluster.fork({ WORKER_INDEX: index, WORKER_COUNT });
+  worker.on('message', (message) => {
+    if (message && message.type === 'worker-listening') workerPorts[index] = message.port;
+  });
+  worker.on('exit', (code, signal) => {
+    workerPorts[index] = null;
+    if (shuttingDown) return;
+    console.log(`Worker ${index + 1} exited (${signal || code}), restarting`);
+    fork(index);
+  });
+  workers[index] = worker;
+}
+
+for (let i = 0; i < WORKER_COUNT; i++) fork(i);
+
+// ==================== ROUTING ====================
+
+// Same rule as socketIp in server.js: the entry our proxy appended, never
+// one further left - the client writes those and could pick its worker
+function clientAddress(req) {
+  const forwarded = TRUST_PROXY ? (req.headers['x-forwarded-for'] || '').split(',') : [];
+  const chain = [...forwarded.map(address => address.trim()).filter(Boolean), req.socket.remoteAddress || ''];
+  return chain[Math.max(0, chain.length - 1 - (TRUST_PROXY ? 1 : 0))];
+}
+
+// A room's requests go to its owner; everything else is spread by client
+// address, so per-IP rate limits (like room creation) see all of one client
+function workerPortFor(req) {
+  const roomId = roomIdFromUrl(req.url);
+  const index = roomId ? roomWorker(roomId, WORKER_COUNT) : hashString(clientAddress(req)) % WORKER_COUNT;
+  return workerPorts[index];
+}
+
+// Workers see the primary as the peer, so pass the client on like any proxy
+function forwardedHeaders(req) {
+  const prior = req.headers['x-forwarded-for'];
+  const peer = req.socket.remoteAddress;
+  return {
+    ...req.headers,
+    'x-forwarded-for': prior ? `${prior}, ${peer}` : peer,
+    'x-forwarded-proto': req.headers['x-forwarded-proto'] || 'http'
+  };
+}
+
+const balancer = http.createServer((req, res) => {
+  const port = workerPortFor(req);
+  if (!port) {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    res.end('Server is starting up - try again in a moment');
+    return;
+  }
+
+  const upstream = http.request({
+    host: '127.0.0.1',
+    port,
+    method: req.method,
+    path: req.url,
+    headers: forwardedHeaders(req)
+  }, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+  upstream.on('error', () => {
+    if (!res.headersSent) res.writeHead(502);
+    res.end();
+  });
+  req.pipe(upstream);
+});
+
+// WebSocket upgrades: replay the request to the worker, then splice the sockets
+balancer.on('upgrade', (req, socket, head) => {
+  const port = workerPortFor(req);
+  if (!port) {
+    socket.destroy();
+    return;
+  }
+
+  const upstream = net.connect(port, '127.0.0.1', () => {
+    const lines = [`${req.method} ${req.url} HTTP/${req.httpVersion}`];
+    for (const [name, value] of Object.entries(forwardedHeaders(req))) lines.push(`${name}: ${value}`);
+    upstream.write(`${lines.join('\r\n')}\r\n\r\n`);
+    if (head.length) upstream.write(head);
+    socket.pipe(upstream).pipe(socket);
+  });
+  upstream.on('error', () => socket.destroy());
+  socket.on('error', () => upstream.destroy());
+});
+
+balancer.listen(PORT, () => {
+  console.log(`🌍 Guess the Place running on port ${PORT} with ${WORKER_COUNT} workers`);
+  console.log(`   Open http://localhost:${PORT} to play!`);
+});
+
+// Let every worker flush its rooms to disk before going away
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    shuttingDown = true;
+    balancer.close();
+    const alive = workers.filter(worker => !worker.isDead());
+    if (alive.length === 0) process.exit(0);
+    let running = alive.length;
+    for (const worker of alive) {
+      worker.process.kill('SIGTERM');
+      worker.on('exit', () => {
+        if (--running === 0) process.exit(0);
+      });
+    }
+  });
+}
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { reencode } = require('./media');
+
+// Saved image decks. Each deck lives in <dir>/<deckId>/ with a deck.json
+// and its images named by content hash, so a picture reused across saves
+// is only stored once.
+function createDeckStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const deckDir = (deckId) => path.join(dir, deckId);
+  const deckFile = (deckId) => path.join(deckDir(deckId), 'deck.json');
+
+  function isValidId(deckId) {
+    return /^[a-f0-9-]{1,36}$/.test(deckId);
+  }
+
+  function get(deckId) {
+    if (!isValidId(deckId)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(deckFile(deckId), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function write(deck) {
+    const file = deckFile(deck.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(deck, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Re-encodes an upload, dropping its metadata (GPS tags, captions) along
+  // the way. Throws MediaError, so one bad file saves nothing.
+  async function cleanImages(images) {
+    const cleaned = [];
+    for (const { buffer, mimetype, ...labels } of images) {
+      cleaned.push({ buffer: await reencode(buffer), mimetype: 'image/webp', ...labels });
+    }
+    return cleaned;
+  }
+
+  // Stores the (already cleaned) bytes and returns the deck image entry. Labels are the
+  // per-image fields (answer, aliases, location...) already cleaned by the caller.
+  function storeImage(deckId, { buffer, mimetype, ...labels }) {
+    const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+    const file = `${hash}.webp`;
+    const filePath = path.join(deckDir(deckId), file);
+    if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, buffer);
+    return { file, mimetype, ...labels };
+  }
+
+  // Removes image files no longer referenced by deck.json
+  function pruneImages(deck) {
+    const used = new Set(deck.images.map(img => img.file));
+    for (const file of fs.readdirSync(deckDir(deck.id))) {
+      if (file !== 'deck.json' && !used.has(file)) fs.rmSync(path.join(deckDir(deck.id), file), { force: true });
+    }
+  }
+
+  return {
+    list() {
+      return fs.readdirSync(dir)
+        .map(get)
+        .filter(Boolean)
+        .map(deck => ({ id: deck.id, name: deck.name, imageCount: deck.images.length, updatedAt: deck.updatedAt }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    get,
+
+    // images: [{ buffer, mimetype, ...labels }]. ownerKey is what the
+    // owner's token is signed over (see deckTokenId in server.js).
+    async create({ name, ownerKey, images }) {
+      const cleaned = await cleanImages(images);
+      const deck = {
+        id: uuidv4().slice(0, 8),
+        name,
+        ownerKey,
+        shareKeys: [],
+        images: [],
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+      fs.mkdirSync(deckDir(deck.id), { recursive: true });
+      deck.images = cleaned.map(img => storeImage(deck.id, img));
+      write(deck);
+      return deck;
+    },
+
+    // New images replace the deck's image list; labels alone relabel the existing ones.
+    // labels: [{ answer, aliases, ... }] by image index
+    async update(deckId, { name, labels, images }) {
+      const cleaned = images && images.length > 0 ? await cleanImages(images) : null;
+      const deck = get(deckId);
+      if (!deck) return null;
+
+      if (name) deck.name = name;
+      if (cleaned) {
+        deck.images = cleaned.map(img => storeImage(deck.id, img));
+        pruneImages(deck);
+      } else if (labels) {
+        deck.images = deck.images.map((img, i) => {
+          if (!labels[i]) return img;
+          return { file: img.file, mimetype: img.mimetype, ...labels[i] };
+        });
+      }
+      deck.updatedAt = Date.now();
+      write(deck);
+      return deck;
+    },
+
+    // Keys of the deck's share invites (see deckRole in server.js); false
+    // once the deck has max of them
+    addShareKey(deckId, key, max) {
+      const deck = get(deckId);
+      if (!deck) return false;
+      deck.shareKeys = deck.shareKeys || [];
+      if (deck.shareKeys.length >= max) return false;
+      deck.shareKeys.push(key);
+      write(deck);
+      return true;
+    },
+
+    remove(deckId) {
+      if (!get(deckId)) return false;
+      fs.rmSync(deckDir(deckId), { recursive: true, force: true });
+      return true;
+    },
+
+    imagePath(deckId, file) {
+      const deck = get(deckId);
+      if (!deck || !deck.images.some(img => img.file === file)) return null;
+      return path.join(deckDir(deckId), file);
+    },
+
+    // Deck images as uploads for a new room: [{ buffer, mimetype, ...labels }]
+    loadRoomImages(deckId) {
+      const deck = get(deckId);
+      if (!deck) return null;
+      return deck.images.map(({ file, mimetype, ...labels }) => ({
+        buffer: fs.readFileSync(path.join(deckDir(deckId), file)),
+        mimetype,
+        ...labels
+      }));
+    }
+  };
+}
+
+module.exports = { createDeckStore };
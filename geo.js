@@ -0,0 +1,35 @@
+// Geography helpers for map-pin rounds
+
+const EARTH_RADIUS_KM = 6371;
+
+// Scale (km) of the distance falloff: a pin 1500 km off keeps ~37% of the points
+const DISTANCE_FALLOFF_KM = 1500;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance in km (haversine)
+function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// 1.0 for a pin on the spot, decaying exponentially with distance
+function distanceQuality(km) {
+  return Math.round(Math.exp(-km / DISTANCE_FALLOFF_KM) * 100) / 100;
+}
+
+// Accepts { lat, lng } (numbers or numeric strings); returns a clean
+// location or null when missing or out of range
+function parseLocation(value) {
+  if (!value || typeof value !== 'object') return null;
+  const lat = parseFloat(value.lat);
+  const lng = parseFloat(value.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return { lat: Math.round(lat * 1e5) / 1e5, lng: Math.round(lng * 1e5) / 1e5 };
+}
+
+module.exports = { distanceKm, distanceQuality, parseLocation };
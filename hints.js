@@ -0,0 +1,96 @@
+// Hint schedules. A schedule is a list of { type, at } entries, `at` being
+// the fraction of the round after which the hint is shown to everyone.
+// Rooms pick a schedule (a preset or a custom list); an image can carry its
+// own schedule, which replaces the room's for that round.
+
+const HINT_TYPES = ['first-letter', 'word-count', 'letters', 'country', 'continent', 'text'];
+
+const HINT_PRESETS = {
+  classic: [{ type: 'first-letter', at: 0.5 }, { type: 'word-count', at: 0.75 }],
+  letters: [{ type: 'word-count', at: 0.3 }, { type: 'letters', at: 0.55, reveal: 0.25 }, { type: 'letters', at: 0.8, reveal: 0.5 }],
+  geography: [{ type: 'continent', at: 0.3 }, { type: 'country', at: 0.55 }, { type: 'first-letter', at: 0.8 }],
+  none: []
+};
+
+const MAX_HINTS = 10;
+
+// Accepts a preset name or a list of entries; returns a sorted, validated
+// schedule, or null when the input isn't a schedule at all
+function cleanHintSchedule(value) {
+  if (typeof value === 'string') return HINT_PRESETS[value] ? HINT_PRESETS[value].map(h => ({ ...h })) : null;
+  if (!Array.isArray(value)) return null;
+
+  return value
+    .filter(h => h && HINT_TYPES.includes(h.type))
+    .map(h => {
+      const entry = { type: h.type, at: Math.max(0, Math.min(1, parseFloat(h.at) || 0)) };
+      if (h.type === 'letters') entry.reveal = Math.max(0, Math.min(1, parseFloat(h.reveal) || 0.3));
+      if (h.type === 'text') entry.text = typeof h.text === 'string' ? h.text.trim().slice(0, 200) : '';
+      return entry;
+    })
+    .filter(h => h.type !== 'text' || h.text)
+    .sort((a, b) => a.at - b.at)
+    .slice(0, MAX_HINTS);
+}
+
+// "Sagrada Familia" at 0.25 -> "S _ _ R _ _ A   F _ _ I _ _ A": first letter of
+// each word plus evenly spaced letters, spaces and punctuation kept
+function letterPattern(answer, reveal) {
+  let letterIndex = 0;
+  const letterCount = answer.replace(/[^\p{L}\p{N}]/gu, '').length;
+  const shown = Math.round(letterCount * reveal);
+  return answer.split(/\s+/).map(word => [...word].map((ch, i) => {
+    if (!/[\p{L}\p{N}]/u.test(ch)) return ch;
+    const n = letterIndex++;
+    const evenlySpaced = shown > 0 && Math.floor((n + 1) * shown / letterCount) > Math.floor(n * shown / letterCount);
+    return i === 0 || evenlySpaced ? ch.toUpperCase() : '_';
+  }).join(' ')).join('   ');
+}
+
+// Turns a schedule entry into the hint sent to players, or null when the
+// image has nothing to say for that type (e.g. no country set)
+function buildHint(image, entry, index) {
+  const answer = image.answer;
+  switch (entry.type) {
+    case 'first-letter': {
+      const letter = answer.charAt(0).toUpperCase();
+      return { index, type: entry.type, value: letter, message: `Hint: Starts with "${letter}"` };
+    }
+    case 'word-count': {
+      const wordCount = answer.split(/\s+/).length;
+      return { index, type: entry.type, value: wordCount, message: `Hint: ${wordCount} word${wordCount > 1 ? 's' : ''}` };
+    }
+    case 'letters': {
+      const pattern = letterPattern(answer, entry.reveal);
+      return { index, type: entry.type, value: pattern, message: `Hint: ${pattern}` };
+    }
+    case 'country':
+      return image.country ? { index, type: entry.type, value: image.country, message: `Hint: It's in ${image.country}` } : null;
+    case 'continent':
+      return image.continent ? { index, type: entry.type, value: image.continent, message: `Hint: It's in ${image.continent}` } : null;
+    case 'text':
+      return { index, type: entry.type, value: entry.text, message: `Hint: ${entry.text}` };
+    default:
+      return null;
+  }
+}
+
+// All hints available for an image this round, in schedule order, each
+// with the time (ms into the round) it becomes free
+function roundHints(image, schedule, totalTime) {
+  const entries = image.hints && image.hints.length > 0 ? image.hints : schedule;
+  return entries
+    .map((entry, i) => {
+      const hint = buildHint(image, entry, i);
+      return hint && { ...hint, dueAt: Math.round(entry.at * totalTime) };
+    })
+    .filter(Boolean);
+}
+
+// Hints a player can see: everything already due plus any bought early
+function visibleHints(hints, elapsed, bought = 0) {
+  const due = hints.filter(h => h.dueAt <= elapsed).length;
+  return hints.slice(0, Math.max(due, bought));
+}
+
+module.exports = { HINT_TYPES, HINT_PRESETS, cleanHintSchedule, roundHints, visibleHints };
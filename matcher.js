@@ -0,0 +1,174 @@
+const { normalizeAnswer, getStopWords } = require('./normalize');
+
+// Fuzzy answer matching: how well a typed guess matches a place name, from
+// 0 (wrong) to 1.0 (exact). A room picks how forgiving it is
+// (settings.matchStrictness); each level is a table of thresholds on the
+// Levenshtein ratio (edits / length of the longer string) for the checks
+// in checkAnswer, tried in order. An empty list, null or false skips a check.
+//
+//   containsAnswer guess with the whole answer somewhere in it ("eiffel tower paris") → 1.0
+//   containsShort  guess is a piece of the answer at least this long, relative → 0.9
+//   typos          [maxRatio, quality] for the whole guess
+//   strippedTypos  [maxRatio, quality] once stop words are gone from both
+//   wordTypos      max ratio for one word of the guess to count as a key word
+//   wordCredit     [minShare of key words found, quality]
+//   containsPiece  guess is a shorter piece of the answer, relative → 0.4
+//   vowelTypos     max ratio once vowels are gone from both → 0.65
+
+const STRICTNESS = {
+  // Spelling must be right; case, accents and "the"/"of" still don't matter
+  exact: {
+    containsAnswer: false, // or "paris london rome berlin" would win any capital
+    containsShort: null,
+    typos: [],
+    strippedTypos: [],
+    wordTypos: null,
+    wordCredit: [],
+    containsPiece: null,
+    vowelTypos: null
+  },
+  lenient: {
+    containsAnswer: true,
+    containsShort: 0.7,
+    typos: [[0.15, 0.9], [0.25, 0.8], [0.35, 0.7]],
+    strippedTypos: [[0.2, 0.85], [0.35, 0.7]],
+    wordTypos: 0.3,
+    wordCredit: [[1.0, 0.85], [0.6, 0.6], [0.4, 0.4]],
+    containsPiece: 0.4,
+    vowelTypos: 0.2
+  },
+  // For kids and phone keyboards: more typos, fewer key words
+  'very-lenient': {
+    containsAnswer: true,
+    containsShort: 0.5,
+    typos: [[0.2, 0.9], [0.3, 0.8], [0.45, 0.7]],
+    strippedTypos: [[0.25, 0.85], [0.45, 0.7]],
+    wordTypos: 0.4,
+    wordCredit: [[1.0, 0.85], [0.5, 0.6], [0.3, 0.4]],
+    containsPiece: 0.25,
+    vowelTypos: 0.3
+  }
+};
+
+const STRICTNESS_LEVELS = Object.keys(STRICTNESS); // strictest first
+
+// Unknown levels (rooms saved before strictness existed) play lenient
+function strictnessRules(name) {
+  return STRICTNESS[name] || STRICTNESS.lenient;
+}
+
+// Scores a guess against the canonical answer and every alias, keeping the best.
+// A guess equal to one of the image's rejected near-misses never scores.
+function matchAnswer(guess, image, language, strictness) {
+  if (typeof guess !== 'string' || !guess) return 0;
+  const g = normalizeAnswer(guess);
+  if ((image.rejected || []).some(r => normalizeAnswer(r) === g)) return 0;
+
+  let best = 0;
+  for (const accepted of [image.answer, ...(image.aliases || [])]) {
+    best = Math.max(best, checkAnswer(guess, accepted, language, strictness));
+    if (best === 1.0) break;
+  }
+  return best;
+}
+
+// 0..1 closeness of a guess to the nearest accepted answer, used to rank near misses
+function answerSimilarity(guess, image) {
+  if (typeof guess !== 'string') return 0;
+  const g = normalizeAnswer(guess);
+  let best = 0;
+  for (const accepted of [image.answer, ...(image.aliases || [])]) {
+    const c = normalizeAnswer(accepted);
+    const maxLen = Math.max(g.length, c.length);
+    if (maxLen > 0) best = Math.max(best, 1 - levenshtein(g, c) / maxLen);
+  }
+  return Math.round(best * 100) / 100;
+}
+
+// Edits per character of the longer string: 0 = same, 1 = nothing in common
+function editRatio(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  return maxLen > 0 ? levenshtein(a, b) / maxLen : 1;
+}
+
+// Quality of the first [maxRatio, quality] tier the ratio falls in, or 0
+function tierQuality(tiers, ratio) {
+  const tier = tiers.find(([maxRatio]) => ratio <= maxRatio);
+  return tier ? tier[1] : 0;
+}
+
+function checkAnswer(guess, correctAnswer, language, strictness) {
+  if (typeof guess !== 'string' || typeof correctAnswer !== 'string') return 0;
+  const rules = strictnessRules(strictness);
+
+  const g = normalizeAnswer(guess);
+  const c = normalizeAnswer(correctAnswer);
+  if (!g || !c) return 0;
+
+  // Exact match → 1.0
+  if (g === c) return 1.0;
+
+  // Full contains match → 1.0
+  if (rules.containsAnswer && g.includes(c)) return 1.0;
+
+  // Same once common words are gone ("statue liberty") → 0.95. Checked
+  // before any typo tolerance, so an exact room never scores higher than
+  // a lenient one.
+  const stopWords = getStopWords(language);
+  const stripStop = (str) => str.split(' ').filter(w => !stopWords.includes(w)).join(' ');
+  const gStripped = stripStop(g);
+  const cStripped = stripStop(c);
+  if (gStripped && gStripped === cStripped) return 0.95;
+
+  // Shorter piece of the answer → 0.9
+  if (rules.containsShort !== null && c.includes(g) && g.length >= c.length * rules.containsShort) return 0.9;
+
+  // Levenshtein on full string
+  const typoQuality = tierQuality(rules.typos, editRatio(g, c));
+  if (typoQuality) return typoQuality;
+
+  // Typos once common words are stripped
+  if (gStripped && cStripped) {
+    const strippedQuality = tierQuality(rules.strippedTypos, editRatio(gStripped, cStripped));
+    if (strippedQuality) return strippedQuality;
+  }
+
+  // Word-by-word matching for partial credit
+  const gWords = g.split(' ').filter(w => w.length > 2);
+  const cWords = c.split(' ').filter(w => w.length > 2 && !stopWords.includes(w));
+  if (rules.wordTypos !== null && cWords.length > 0 && gWords.length > 0) {
+    const matchedWords = cWords.filter(cw => gWords.some(gw => editRatio(gw, cw) <= rules.wordTypos)).length;
+    const wordRatio = matchedWords / cWords.length;
+    const tier = rules.wordCredit.find(([minShare]) => wordRatio >= minShare);
+    if (tier) return tier[1];
+  }
+
+  // Partial contain match (shorter threshold) → 0.4
+  if (rules.containsPiece !== null && c.includes(g) && g.length >= c.length * rules.containsPiece) return 0.4;
+
+  // Vowel-stripped comparison → 0.65
+  const stripVowels = (str) => str.replace(/[aeiou]/g, '');
+  const gNoVowels = stripVowels(g);
+  const cNoVowels = stripVowels(c);
+  if (rules.vowelTypos !== null && gNoVowels.length >= 3 && cNoVowels.length >= 3) {
+    if (editRatio(gNoVowels, cNoVowels) <= rules.vowelTypos) return 0.65;
+  }
+
+  return 0;
+}
+
+function levenshtein(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = a[i - 1] === b[j - 1]
+        ? dp[i - 1][j - 1]
+        : 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+module.exports = { STRICTNESS_LEVELS, matchAnswer, answerSimilarity, checkAnswer, levenshtein };
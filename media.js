@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Room images on disk. Each upload is decoded, turned upright, resized to a
+// few display widths and re-encoded as WebP, then stored once per picture
+// as <key>-<size>.webp. Re-encoding also drops EXIF, XMP and comments, so
+// GPS tags or captions can't give the answer away. The key is an HMAC of
+// the uploaded bytes with the server secret: a plain hash of a Wikipedia
+// photo can be looked up on Wikimedia Commons, and the file's title there
+// is usually the answer. Files aren't served by name - see the round-image
+// route in server.js.
+
+const SIZES = { small: 480, medium: 1024, large: 1920 }; // max width and height, px
+const QUALITY = 80;
+const FULL_SIZE_QUALITY = 90; // reencode() - the copy gets encoded again later
+
+// Reveal steps are drawn from the medium size
+const MAX_BLUR = 30; // sigma at a fully hidden step
+const MAX_ZOOM = 6;  // scale at a fully hidden step
+const TILE_COLOR = '#12122a'; // --bg-secondary, like the tiles used to be
+
+// Thrown for an upload that isn't a readable image; the message is shown to the host
+class MediaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaError';
+  }
+}
+
+// An upload decoded, turned upright and re-encoded as a full-size WebP,
+// which leaves its metadata behind - for copies kept outside the media
+// store (saved decks). Throws MediaError rather than keep a file it can't
+// read as it is.
+async function reencode(buffer) {
+  try {
+    return await sharp(buffer, { animated: false }).rotate().webp({ quality: FULL_SIZE_QUALITY }).toBuffer();
+  } catch (err) {
+    throw new MediaError('Not a readable image');
+  }
+}
+
+function createMediaStore(dir, secret) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileName = (hash, size) => `${hash}-${size}.webp`;
+  const filePath = (hash, size) => path.join(dir, fileName(hash, size));
+  const isStored = (hash) => Object.keys(SIZES).every(size => fs.existsSync(filePath(hash, size)));
+
+  async function encode(buffer, hash) {
+    let image;
+    try {
+      image = sharp(buffer, { animated: false }).rotate();
+      await image.metadata();
+    } catch (err) {
+      throw new MediaError('Not a readable image');
+    }
+
+    for (const [size, max] of Object.entries(SIZES)) {
+      const output = await image.clone()
+        .resize({ width: max, height: max, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: QUALITY })
+        .toBuffer();
+      // Temp file + rename: another worker may be storing the same picture
+      const tmp = `${filePath(hash, size)}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, output);
+      fs.renameSync(tmp, filePath(hash, size));
+    }
+  }
+
+  return {
+    dir,
+
+    // Stores an uploaded image and returns its key. Throws MediaError.
+    async put(buffer) {
+      const hash = crypto.createHmac('sha256', secret).update(buffer).digest('hex').slice(0, 40);
+      if (!isStored(hash)) {
+        await encode(buffer, hash);
+      } else {
+        // Reused by another room - keep it away from prune()
+        const now = new Date();
+        for (const size of Object.keys(SIZES)) fs.utimesSync(filePath(hash, size), now, now);
+      }
+      return hash;
+    },
+
+    // Deletes files no room has stored within maxAge (ms). Rooms don't live
+    // that long, so nothing still in play is touched.
+    prune(maxAge) {
+      const cutoff = Date.now() - maxAge;
+      for (const file of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, file);
+        try {
+          if (fs.statSync(fullPath).mtimeMs < cutoff) fs.rmSync(fullPath, { force: true });
+        } catch (err) {
+          // Already gone - another worker pruned it
+        }
+      }
+    },
+
+    // The largest rendition as { buffer, mimetype }, e.g. for bundle exports
+    read(hash) {
+      return { buffer: fs.readFileSync(filePath(hash, 'large')), mimetype: 'image/webp' };
+    },
+
+    // One step of a progressive reveal (see reveal.js revealState) as a WebP
+    // buffer. Drawn here rather than in the browser, so players never get
+    // the full picture while it's meant to be hidden.
+    async renderReveal(hash, state) {
+      const source = sharp(filePath(hash, 'medium'));
+      const { width, height } = await source.metadata();
+      const hidden = 1 - state.revealed;
+      let image = source;
+
+      if (state.type === 'blur' && hidden > 0) {
+        image = image.blur(Math.max(0.3, hidden * MAX_BLUR));
+      } else if (state.type === 'zoom') {
+        // The part a zoom of `scale` towards the focus point leaves in view
+        const scale = 1 + hidden * (MAX_ZOOM - 1);
+        const cropWidth = Math.max(1, Math.round(width / scale));
+        const cropHeight = Math.max(1, Math.round(height / scale));
+        image = image
+          .extract({
+            left: Math.round(state.focus.x * (width - cropWidth)),
+            top: Math.round(state.focus.y * (height - cropHeight)),
+            width: cropWidth,
+            height: cropHeight
+          })
+          .resize(width, height);
+      } else if (state.type === 'tiles') {
+        const uncovered = new Set(state.tiles);
+        const tileWidth = width / state.grid;
+        const tileHeight = height / state.grid;
+        const rects = [];
+        for (let i = 0; i < state.grid * state.grid; i++) {
+          if (uncovered.has(i)) continue;
+          const x = (i % state.grid) * tileWidth;
+          const y = Math.floor(i / state.grid) * tileHeight;
+          rects.push(`<rect x="${x}" y="${y}" width="${tileWidth + 1}" height="${tileHeight + 1}" fill="${TILE_COLOR}"/>`);
+        }
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${rects.join('')}</svg>`;
+        image = image.composite([{ input: Buffer.from(svg), top: 0, left: 0 }]);
+      }
+
+      return image.webp({ quality: QUALITY }).toBuffer();
+    },
+
+    // Path of one stored size, or null for a size that doesn't exist
+    path(hash, size) {
+      return Object.hasOwn(SIZES, size) ? filePath(hash, size) : null;
+    },
+
+    // { image, imageSrcset } for an <img> whose sizes are served at
+    // <base>/<size>: the medium size as the fallback src, every size in the
+    // srcset so phones don't fetch the big one
+    urls(base) {
+      const url = (size) => `${base}/${size}`;
+      return {
+        image: url('medium'),
+        imageSrcset: Object.entries(SIZES).map(([size, max]) => `${url(size)} ${max}w`).join(', ')
+      };
+    }
+  };
+}
+
+module.exports = { createMediaStore, reencode, MediaError };
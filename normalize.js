@@ -0,0 +1,138 @@
+// Answer normalization: case folding, diacritic stripping and Latin
+// transliteration, so "Sagrada Família", "sagrada familia" and "Москва" /
+// "Moskva" compare equal, and answers in non-Latin scripts never collapse
+// to an empty string.
+
+// Letters that survive NFKD decomposition and need an explicit fold
+const SPECIAL_LETTERS = {
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd',
+  'ð': 'd', 'þ': 'th', 'ı': 'i', 'ħ': 'h', 'ŀ': 'l'
+};
+
+const CYRILLIC = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh',
+  'з': 'z', 'и': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+  'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh',
+  'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+  'э': 'e', 'ю': 'yu', 'я': 'ya', 'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g',
+  'ў': 'u', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ђ': 'dj'
+};
+
+const GREEK = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i',
+  'θ': 'th', 'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x',
+  'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y',
+  'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+// Short vowels are combining marks and are already stripped by then
+const ARABIC = {
+  'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th',
+  'ج': 'j', 'ح': 'h', 'خ': 'kh', 'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z',
+  'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': '',
+  'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n',
+  'ه': 'h', 'و': 'w', 'ؤ': 'w', 'ي': 'y', 'ئ': 'y', 'ى': 'a', 'ة': 'a',
+  'ء': '', 'پ': 'p', 'چ': 'ch', 'ژ': 'zh', 'گ': 'g', 'ک': 'k', 'ی': 'y'
+};
+
+// Hepburn romanization; katakana is shifted onto hiragana first
+const KANA = {
+  'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+  'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+  'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+  'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+  'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+  'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+  'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+  'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+  'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+  'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+  'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+  'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+  'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+  'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+  'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n', 'ゔ': 'vu',
+  'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o'
+};
+const KANA_SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+
+// Stop words ignored when comparing, per answer language. 'auto' is the
+// original mixed list; a specific language also keeps English, since
+// players often answer in English regardless.
+const STOP_WORDS = {
+  auto: ['the', 'of', 'a', 'an', 'at', 'in', 'on', 'le', 'la', 'el', 'de', 'di', 'du'],
+  en: ['the', 'of', 'a', 'an', 'at', 'in', 'on'],
+  fr: ['le', 'la', 'les', 'l', 'de', 'du', 'des', 'd', 'et', 'en', 'sur'],
+  es: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'en'],
+  it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'di', 'del', 'della', 'dei', 'e'],
+  de: ['der', 'die', 'das', 'des', 'dem', 'den', 'von', 'am', 'im', 'und'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'do', 'da', 'dos', 'das', 'e'],
+  nl: ['de', 'het', 'een', 'van', 'en'],
+  ru: ['v', 'na', 'i'],
+  el: ['o', 'i', 'to', 'tou', 'tis'],
+  ja: ['no'],
+  ar: ['al']
+};
+
+const LANGUAGES = Object.keys(STOP_WORDS);
+
+function transliterateKana(str) {
+  // Katakana -> hiragana
+  const hira = str.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+  let out = '';
+  for (let i = 0; i < hira.length; i++) {
+    const ch = hira[i];
+    const next = hira[i + 1];
+    if (ch === 'っ' || ch === 'ッ') {
+      // Sokuon doubles the next consonant
+      const romaji = KANA[next] || '';
+      out += romaji.charAt(0);
+    } else if (ch === 'ー') {
+      // Long vowel mark is dropped ("Tōkyō" is usually typed "tokyo")
+    } else if (KANA[ch] && KANA_SMALL_Y[next]) {
+      // Yōon: ki + small ya -> kya, shi + small yu -> shu
+      const base = KANA[ch];
+      const stem = /^(sh|ch|j)/.test(base) ? base.slice(0, -1) : base.slice(0, -1) + 'y';
+      out += stem + KANA_SMALL_Y[next];
+      i++;
+    } else {
+      out += KANA[ch] !== undefined ? KANA[ch] : ch;
+    }
+  }
+  // Long vowels are written without macrons: とうきょう -> tokyo, not toukyou
+  return out.replace(/ou/g, 'o').replace(/uu/g, 'u');
+}
+
+function transliterate(str) {
+  let out = '';
+  for (const ch of str) {
+    if (CYRILLIC[ch] !== undefined) out += CYRILLIC[ch];
+    else if (GREEK[ch] !== undefined) out += GREEK[ch];
+    else if (ARABIC[ch] !== undefined) out += ARABIC[ch];
+    else out += ch;
+  }
+  return /[぀-ヿ]/.test(out) ? transliterateKana(out) : out;
+}
+
+// Lowercase, strip accents, transliterate to Latin where we can, and drop
+// punctuation. Scripts without a table (e.g. Han) are kept as-is.
+function normalizeAnswer(str) {
+  const folded = str.toLowerCase()
+    .normalize('NFKD')
+    // Keep kana voicing marks so が stays distinct from か once recomposed
+    .replace(/\p{M}/gu, mark => (mark === '\u3099' || mark === '\u309A' ? mark : ''))
+    .normalize('NFC')
+    .replace(/[ßæœøłđðþıħŀ]/g, ch => SPECIAL_LETTERS[ch]);
+
+  return transliterate(folded)
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function getStopWords(language) {
+  if (!language || !STOP_WORDS[language] || language === 'auto') return STOP_WORDS.auto;
+  return [...new Set([...STOP_WORDS[language], ...STOP_WORDS.en])];
+}
+
+module.exports = { normalizeAnswer, getStopWords, LANGUAGES };
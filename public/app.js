@@ -1,10 +1,23 @@
 // ==================== GLOBALS ====================
-const socket = io();
+// The room id goes along with the connection so a clustered server
+// (cluster.js) can route it to the process that owns the room
+const socket = io({ query: { roomId: window.location.pathname.split('/').pop() } });
+watchServerClock(socket);
 let roomId = null;
 let isHost = false;
 let playerName = '';
 let timerInterval = null;
 let currentHints = [];
+let hintCount = 0;        // hints available this round
+let hintCost = 0;         // points to unlock the next one early, 0 = off
+let teams = [];           // team standings, empty when playing solo
+let lobbyPlayers = [];
+let roundPaused = false;
+let roundMode = 'text';   // text | pin | choice
+let pinMap = null;        // WorldMap for dropping a pin
+let resultMap = null;     // WorldMap showing everyone's pins after a round
+let pendingPin = null;
+let guessFeed = [];       // host: this round's guesses, newest first
 let sessionId = localStorage.getItem('gtp_sessionId') || '';
 
 // Generate session ID if not present
@@ -22,16 +35,15 @@ function getOrCreateSessionId() {
     const pathParts = window.location.pathname.split('/');
     roomId = pathParts[pathParts.length - 1];
 
-    // Check if host
+    // Check if host - the server checks the host cookie sent with the socket handshake
     const params = new URLSearchParams(window.location.search);
-    const hostId = params.get('host');
 
-    if (hostId) {
+    if (params.has('host')) {
         isHost = true;
         // Host skips join screen entirely
         document.getElementById('joinScreen').classList.remove('active');
         document.getElementById('navBadge').innerHTML = '<span class="badge badge-purple">🎯 Host</span>';
-        socket.emit('host-join', { roomId, hostId });
+        socket.emit('host-join', { roomId });
     } else {
         // Validate room exists before showing join screen
         fetch(`/api/room/${roomId}`).then(r => r.json()).then(data => {
@@ -72,9 +84,7 @@ function getOrCreateSessionId() {
         if (storedName && storedRoom === roomId && !isHost) {
             socket.emit('player-join', { roomId, playerName: storedName, sessionId: getOrCreateSessionId() });
         } else if (isHost) {
-            const params = new URLSearchParams(window.location.search);
-            const hostId = params.get('host');
-            if (hostId) socket.emit('host-join', { roomId, hostId });
+            socket.emit('host-join', { roomId });
         }
     });
 })();
@@ -120,7 +130,7 @@ function showError(msg) {
 socket.on('room-joined', (data) => {
     isHost = data.isHost;
     showScreen('lobbyScreen');
-    updateLobby(data.players);
+    updateLobby(data.players, data.teams);
 
     // Store session ID from server
     if (data.sessionId) {
@@ -138,8 +148,11 @@ socket.on('room-joined', (data) => {
         document.getElementById('playerWaiting').classList.add('hidden');
         document.getElementById('hostShareSection').classList.remove('hidden');
         document.getElementById('lobbyShareLink').value = `${window.location.origin}/play/${roomId}`;
+        document.getElementById('presenterLink').href = `/present/${roomId}`;
         document.getElementById('lobbySubtitle').textContent = 'Share the link and start when ready!';
-        document.getElementById('navBadge').innerHTML = '<span class="badge badge-purple">🎯 Host</span>';
+        document.getElementById('navBadge').innerHTML = data.hostRole === 'cohost'
+            ? '<span class="badge badge-purple">🎯 Co-host</span>'
+            : '<span class="badge badge-purple">🎯 Host</span>';
     }
 
     // If game is already in progress (late joiner / rejoiner)
@@ -148,9 +161,19 @@ socket.on('room-joined', (data) => {
     }
 });
 
+// Co-host invite link, ready to send to the second organizer
+socket.on('cohost-invite', ({ link }) => {
+    const url = `${window.location.origin}${link}`;
+    document.getElementById('cohostLink').value = url;
+    document.getElementById('cohostLinkBox').classList.remove('hidden');
+    navigator.clipboard.writeText(url).then(() => {
+        showToast('Co-host link copied! Anyone with it can run this game.', 'success');
+    }).catch(() => {});
+});
+
 // Player update
 socket.on('player-update', (data) => {
-    updateLobby(data.players);
+    updateLobby(data.players, data.teams);
     if (data.message) {
         showToast(data.message, 'info');
     }
@@ -180,16 +203,23 @@ socket.on('game-started', (data) => {
 socket.on('round-start', (data) => {
     showScreen('playingScreen');
     currentHints = [];
+    hintCount = data.hintCount || 0;
+    hintCost = data.hintCost || 0;
+    roundMode = data.mode || 'text';
+    guessFeed = [];
+    renderGuessFeed();
 
     document.getElementById('currentRound').textContent = data.round;
     document.getElementById('totalRounds').textContent = data.totalRounds;
-    document.getElementById('gameImage').src = data.image;
+    showRoundImage('gameImage', data);
     document.getElementById('answeredCount').textContent = '0';
     document.getElementById('totalPlayers').textContent = '0';
 
     // Host: hide answer input, show only image + leaderboard
     if (isHost) {
         document.getElementById('answerSection').classList.add('hidden');
+        document.getElementById('pinSection').classList.add('hidden');
+        document.getElementById('choiceSection').classList.add('hidden');
         document.getElementById('answeredCorrectly').classList.remove('hidden');
         document.getElementById('answeredCorrectly').innerHTML = '🎯 You are the host — watching players answer!';
         document.getElementById('hintsContainer').innerHTML = '';
@@ -198,35 +228,77 @@ socket.on('round-start', (data) => {
         document.getElementById('guessInput').value = '';
         document.getElementById('guessInput').disabled = false;
         document.getElementById('submitGuessBtn').disabled = false;
-        document.getElementById('answerSection').classList.remove('hidden');
+        document.getElementById('answerSection').classList.toggle('hidden', roundMode !== 'text');
+        document.getElementById('pinSection').classList.toggle('hidden', roundMode !== 'pin');
+        document.getElementById('choiceSection').classList.toggle('hidden', roundMode !== 'choice');
         document.getElementById('answeredCorrectly').classList.add('hidden');
+        if (roundMode === 'pin') resetPinMap();
+        if (roundMode === 'choice') renderChoices(data.choices);
         document.getElementById('hintsContainer').innerHTML = '';
     }
+    (data.hints || []).forEach(addHint);
+    updateBuyHintButton();
 
     // Start timer
-    startTimer(data.timeRemaining, data.totalTime);
+    document.getElementById('hostRoundControls').classList.toggle('hidden', !isHost);
+    document.getElementById('endRoundBtn').classList.remove('btn-success');
+    applyTimerSync(data);
 
     // Focus on input (only for players)
-    if (!isHost) {
+    if (!isHost && roundMode === 'text') {
         setTimeout(() => document.getElementById('guessInput').focus(), 300);
     }
 });
 
-// Hint received
-socket.on('hint', (data) => {
-    if (currentHints.find(h => h.type === data.type)) return; // Skip duplicate hints
-    currentHints.push(data);
+// Host paused, resumed or added time
+socket.on('timer-sync', (data) => {
+    applyTimerSync(data);
+});
 
-    const container = document.getElementById('hintsContainer');
-    const badge = document.createElement('div');
-    badge.className = 'hint-badge';
-    badge.innerHTML = `💡 ${data.message}`;
-    container.appendChild(badge);
+socket.on('round-skipped', () => {
+    showToast('⏭ The host skipped this image', 'info');
+});
+
+// Next reveal step (reveal rounds)
+socket.on('reveal', (data) => {
+    applyReveal(data);
+});
+
+// Hint received (scheduled, or unlocked early by this player)
+socket.on('hint', (data) => {
+    addHint(data);
+    updateBuyHintButton();
 });
 
 // Guess result
 socket.on('guess-result', (data) => {
     if (data.alreadyAnswered) return;
+    if (data.correct || data.locked) document.getElementById('buyHintBtn').classList.add('hidden');
+
+    if (data.mode === 'pin') {
+        const distance = `${data.distanceKm.toLocaleString()} km away`;
+        showFeedback('correct', `📍 ${distance}`);
+        showScorePopup(data.points, data.streak, data.position, data.matchType, data.breakdown);
+        document.getElementById('pinSection').classList.add('hidden');
+        document.getElementById('answeredCorrectly').classList.remove('hidden');
+        document.getElementById('answeredCorrectly').innerHTML =
+            `📍 ${distance}! +${data.points} pts — waiting for round to end...`;
+        return;
+    }
+
+    // Negative marking: what the wrong guess cost
+    const penalty = data.points < 0 ? ` (${data.points} pts)` : '';
+
+    if (roundMode === 'choice') {
+        markChoice(data.choice, data.correct);
+        if (!data.correct) {
+            showFeedback('incorrect', `Wrong!${penalty} Better luck next round`);
+            document.getElementById('choiceSection').classList.add('hidden');
+            document.getElementById('answeredCorrectly').classList.remove('hidden');
+            document.getElementById('answeredCorrectly').innerHTML = `❌ "${escapeHtml(data.guess)}" was wrong — waiting for round to end...`;
+            return;
+        }
+    }
 
     if (data.correct) {
         // Different feedback based on match type
@@ -237,14 +309,18 @@ socket.on('guess-result', (data) => {
         } else if (data.matchType === 'partial') {
             feedbackText = `Partial match! +${data.points} pts (${data.matchQuality}% match)`;
         }
+        if (data.revealed !== undefined) {
+            feedbackText += ` — guessed at ${Math.round(data.revealed * 100)}% revealed`;
+        }
 
         showFeedback(feedbackType, feedbackText);
-        showScorePopup(data.points, data.streak, data.position, data.matchType);
+        showScorePopup(data.points, data.streak, data.position, data.matchType, data.breakdown);
 
         // Disable input
         document.getElementById('guessInput').disabled = true;
         document.getElementById('submitGuessBtn').disabled = true;
         document.getElementById('answerSection').classList.add('hidden');
+        document.getElementById('choiceSection').classList.add('hidden');
         document.getElementById('answeredCorrectly').classList.remove('hidden');
 
         const el = document.getElementById('answeredCorrectly');
@@ -257,8 +333,16 @@ socket.on('guess-result', (data) => {
         } else {
             el.innerHTML = `✅ Correct! +${data.points} pts — waiting for round to end...`;
         }
+    } else if (data.guessesLeft === 0) {
+        showFeedback('incorrect', `Wrong!${penalty} No guesses left this round`);
+        document.getElementById('guessInput').disabled = true;
+        document.getElementById('submitGuessBtn').disabled = true;
+        document.getElementById('buyHintBtn').classList.add('hidden');
+        document.getElementById('answerSection').classList.add('hidden');
+        document.getElementById('answeredCorrectly').classList.remove('hidden');
+        document.getElementById('answeredCorrectly').innerHTML = `❌ Out of guesses — waiting for round to end...`;
     } else {
-        showFeedback('incorrect', 'Wrong! Try again');
+        showFeedback('incorrect', data.guessesLeft ? `Wrong!${penalty} ${data.guessesLeft} ${data.guessesLeft === 1 ? 'guess' : 'guesses'} left` : `Wrong!${penalty} Try again`);
         // Shake input
         const input = document.getElementById('guessInput');
         input.style.animation = 'shake 0.4s ease';
@@ -268,9 +352,54 @@ socket.on('guess-result', (data) => {
     }
 });
 
-// Leaderboard update during round
+// Host: a new guess, or one the host just overrode
+socket.on('guess-feed', (entry) => {
+    const index = guessFeed.findIndex(g => g.id === entry.id);
+    if (index >= 0) guessFeed[index] = entry;
+    else guessFeed.unshift(entry);
+    renderGuessFeed();
+});
+
+// The host accepted or rejected one of this player's guesses
+socket.on('answer-overridden', (data) => {
+    if (data.accepted) {
+        showToast(`✅ The host accepted "${data.guess}" — +${data.points} pts`, 'success');
+        if (document.getElementById('playingScreen').classList.contains('active')) {
+            document.getElementById('answerSection').classList.add('hidden');
+            document.getElementById('pinSection').classList.add('hidden');
+            document.getElementById('choiceSection').classList.add('hidden');
+            document.getElementById('buyHintBtn').classList.add('hidden');
+            document.getElementById('answeredCorrectly').classList.remove('hidden');
+            document.getElementById('answeredCorrectly').innerHTML =
+                `✅ Accepted by the host! +${data.points} pts — waiting for round to end...`;
+        }
+        return;
+    }
+
+    showToast(`❌ The host rejected "${data.guess}"`, 'warning');
+    if (data.canRetry) {
+        document.getElementById('answeredCorrectly').classList.add('hidden');
+        document.getElementById('answerSection').classList.toggle('hidden', roundMode !== 'text');
+        document.getElementById('pinSection').classList.toggle('hidden', roundMode !== 'pin');
+        document.getElementById('guessInput').disabled = false;
+        document.getElementById('submitGuessBtn').disabled = false;
+        document.getElementById('guessInput').value = '';
+        if (roundMode === 'pin') resetPinMap();
+        updateBuyHintButton();
+    } else if (document.getElementById('playingScreen').classList.contains('active')) {
+        document.getElementById('answeredCorrectly').innerHTML = '❌ Rejected by the host — waiting for round to end...';
+    }
+});
+
+// Leaderboard update during round (or after a host override on the result screen)
 socket.on('leaderboard-update', (data) => {
     renderMiniLeaderboard(data.players);
+    renderTeamStandings(data.teams, 'miniTeamStandings');
+    renderLeaderboard(data.players, 'roundResultLeaderboard');
+    renderTeamStandings(data.teams, 'roundResultTeams');
+    document.getElementById('resultCorrectCount').textContent = data.answeredCount;
+    // Nudge the host to wrap up once everyone is in
+    document.getElementById('endRoundBtn').classList.toggle('btn-success', data.answeredCount >= data.totalPlayers);
     document.getElementById('answeredCount').textContent = data.answeredCount;
     document.getElementById('totalPlayers').textContent = data.totalPlayers;
 });
@@ -282,12 +411,24 @@ socket.on('round-end', (data) => {
 
     document.getElementById('resultRound').textContent = data.round;
     document.getElementById('resultTotalRounds').textContent = data.totalRounds;
-    document.getElementById('resultImage').src = data.image;
+    showRoundImage('resultImage', data);
     document.getElementById('revealAnswer').textContent = data.correctAnswer;
+    renderResultMap(data);
+
+    const alternatives = document.getElementById('revealAlternatives');
+    const hasAlternatives = data.alternatives && data.alternatives.length > 0;
+    alternatives.textContent = hasAlternatives ? `Also accepted: ${data.alternatives.join(', ')}` : '';
+    alternatives.classList.toggle('hidden', !hasAlternatives);
     document.getElementById('resultCorrectCount').textContent = data.answeredCount;
     document.getElementById('resultTotalCount').textContent = data.totalPlayers;
+    renderRoundGuesses(data);
 
     renderLeaderboard(data.players, 'roundResultLeaderboard');
+    renderTeamStandings(data.teams, 'roundResultTeams');
+    document.getElementById('resultHostControls').classList.toggle('hidden', !isHost);
+    document.getElementById('nextRoundBtn').textContent =
+        data.round >= data.totalRounds ? '🏁 Show final results' : '▶ Next round';
+    startNextRoundCountdown(data.nextRoundIn);
 });
 
 // Game over
@@ -295,13 +436,18 @@ socket.on('game-over', (data) => {
     if (timerInterval) clearInterval(timerInterval);
     showScreen('finalScreen');
 
-    if (data.winner) {
+    if (data.winningTeam) {
+        document.getElementById('winnerAnnouncement').textContent =
+            `🎉 Team ${data.winningTeam.name} wins with ${data.winningTeam.score} points!`;
+    } else if (data.winner) {
         document.getElementById('winnerAnnouncement').textContent =
             `🎉 ${data.winner.name} wins with ${data.winner.score} points!`;
     }
 
     renderPodium(data.players);
     renderLeaderboard(data.players, 'fullLeaderboardList');
+    renderTeamStandings(data.teams, 'finalTeams');
+    if (isHost) loadReport();
 
     // Confetti!
     launchConfetti();
@@ -328,6 +474,22 @@ function submitGuess() {
     socket.emit('submit-guess', { roomId, guess });
 }
 
+function requestHint() {
+    document.getElementById('buyHintBtn').disabled = true;
+    socket.emit('request-hint', { roomId });
+}
+
+function submitChoice(index) {
+    document.querySelectorAll('.choice-btn').forEach(btn => btn.disabled = true);
+    socket.emit('submit-guess', { roomId, choice: index });
+}
+
+function submitPin() {
+    if (!pendingPin) return;
+    document.getElementById('submitPinBtn').disabled = true;
+    socket.emit('submit-pin', { roomId, lat: pendingPin.lat, lng: pendingPin.lng });
+}
+
 function startGame() {
     const btn = document.getElementById('startGameBtn');
     btn.disabled = true;
@@ -335,6 +497,10 @@ function startGame() {
     socket.emit('start-game', { roomId });
 }
 
+function inviteCohost() {
+    socket.emit('create-cohost-invite', { roomId });
+}
+
 function copyLink() {
     const link = document.getElementById('lobbyShareLink').value;
     navigator.clipboard.writeText(link).then(() => {
@@ -343,17 +509,15 @@ function copyLink() {
 }
 
 // ==================== TIMER ====================
-function startTimer(duration, totalTime) {
+// endsAt is in server time (see clock.js)
+function startTimer(endsAt, totalTime) {
     if (timerInterval) clearInterval(timerInterval);
 
     const bar = document.getElementById('timerBar');
     const timeText = document.getElementById('timeLeft');
-    const startTime = Date.now();
-    const endTime = startTime + duration;
 
     timerInterval = setInterval(() => {
-        const now = Date.now();
-        const remaining = Math.max(0, endTime - now);
+        const remaining = Math.max(0, endsAt - serverNow());
         const fraction = remaining / totalTime;
 
         bar.style.width = `${fraction * 100}%`;
@@ -377,21 +541,194 @@ function startTimer(duration, totalTime) {
     }, 50);
 }
 
+// Restarts the countdown from the server's numbers; while paused the bar
+// freezes and the image is covered
+function applyTimerSync({ timeRemaining, totalTime, endsAt, serverTime, paused }) {
+    noteServerTime(serverTime);
+    roundPaused = Boolean(paused);
+    document.getElementById('pausedOverlay').classList.toggle('hidden', !roundPaused);
+    document.getElementById('pauseBtn').textContent = roundPaused ? '▶ Resume' : '⏸ Pause';
+
+    if (roundPaused) {
+        if (timerInterval) clearInterval(timerInterval);
+        document.getElementById('timerBar').style.width = `${(timeRemaining / totalTime) * 100}%`;
+        document.getElementById('timeLeft').textContent = `⏸ ${Math.ceil(timeRemaining / 1000)}s`;
+    } else {
+        startTimer(endsAt || serverNow() + timeRemaining, totalTime);
+    }
+}
+
+// "Next round in 5s", or a waiting message when the host advances manually
+function startNextRoundCountdown(nextRoundIn) {
+    const text = document.getElementById('nextRoundText');
+    if (!nextRoundIn) {
+        text.textContent = isHost ? 'Press next round when you are ready' : 'Waiting for the host to continue';
+        return;
+    }
+    const endTime = Date.now() + nextRoundIn;
+    const tick = () => {
+        const seconds = Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+        text.textContent = `Next round in ${seconds}s`;
+    };
+    tick();
+    timerInterval = setInterval(tick, 250);
+}
+
+// ==================== HOST CONTROLS ====================
+function hostControl(event, extra = {}) {
+    socket.emit(event, { roomId, ...extra });
+}
+
+function togglePause() {
+    hostControl(roundPaused ? 'resume-round' : 'pause-round');
+}
+
+function confirmEndGame() {
+    if (confirm('End the game now and show the final results?')) hostControl('end-game');
+}
+
+// ==================== HINTS ====================
+function addHint(hint) {
+    if (currentHints.find(h => h.index === hint.index)) return; // Skip duplicate hints
+    currentHints.push(hint);
+
+    const badge = document.createElement('div');
+    badge.className = 'hint-badge';
+    badge.textContent = `💡 ${hint.message}${hint.cost ? ` (−${hint.cost} pts)` : ''}`;
+    document.getElementById('hintsContainer').appendChild(badge);
+}
+
+// Players can pay for the next hint while any are still locked
+function updateBuyHintButton() {
+    const btn = document.getElementById('buyHintBtn');
+    const available = !isHost && hintCost > 0 && currentHints.length < hintCount;
+    btn.classList.toggle('hidden', !available);
+    btn.disabled = false;
+    btn.textContent = `💡 Unlock a hint (−${hintCost} pts)`;
+}
+
+// ==================== PROGRESSIVE REVEAL ====================
+// Round pictures come in several sizes; the browser picks one to fit the screen
+function showRoundImage(id, data) {
+    const img = document.getElementById(id);
+    img.srcset = data.imageSrcset || '';
+    img.src = data.image;
+}
+
+// Reveal rounds: the server draws every step (blurred, zoomed or tiled),
+// so a new step is just a new picture
+function applyReveal(state) {
+    if (state && state.image) showRoundImage('gameImage', state);
+}
+
+// ==================== MULTIPLE CHOICE ====================
+function renderChoices(choices) {
+    const letters = ['A', 'B', 'C', 'D'];
+    document.getElementById('choiceSection').innerHTML = choices.map((choice, i) => `
+    <button class="choice-btn" onclick="submitChoice(${i})">
+      <span class="choice-letter">${letters[i]}</span>
+      <span>${escapeHtml(choice)}</span>
+    </button>
+  `).join('');
+}
+
+function markChoice(index, correct) {
+    const btn = document.querySelectorAll('.choice-btn')[index];
+    if (btn) btn.classList.add(correct ? 'choice-correct' : 'choice-wrong');
+}
+
+// ==================== MAP PIN ====================
+function resetPinMap() {
+    pendingPin = null;
+    document.getElementById('submitPinBtn').disabled = true;
+    if (!pinMap) {
+        pinMap = new WorldMap(document.getElementById('pinMap'), { onPick: placePin });
+    }
+    pinMap.reset();
+}
+
+function placePin(location) {
+    pendingPin = location;
+    pinMap.setMarkers([{ ...location, color: '#06b6d4' }]);
+    document.getElementById('submitPinBtn').disabled = false;
+}
+
+// Real location plus every player's pin, with a line from each pin to the answer
+function renderResultMap(data) {
+    const container = document.getElementById('resultMapContainer');
+    if (data.mode !== 'pin' || !data.location) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+    if (!resultMap) resultMap = new WorldMap(document.getElementById('resultMap'));
+
+    const pins = data.pins || [];
+    const markers = pins.map(pin => ({
+        lat: pin.lat,
+        lng: pin.lng,
+        color: pin.playerId === socket.id ? '#06b6d4' : '#7c3aed',
+        label: `${pin.name} · ${pin.distanceKm.toLocaleString()} km`
+    }));
+    markers.push({ ...data.location, color: '#10b981', size: 9, label: data.correctAnswer });
+
+    resultMap.setMarkers(markers, pins.map(pin => [pin, data.location]));
+    resultMap.fitTo([data.location, ...pins]);
+}
+
 // ==================== LOBBY UI ====================
-function updateLobby(players) {
-    const grid = document.getElementById('playersGrid');
-    const avatars = ['🧑', '👩', '🧔', '👱', '🧑‍🦰', '👩‍🦱', '🧑‍🦳', '👲', '🧕', '🤠', '🥷', '🦸', '🧙', '🧑‍🚀', '🎅'];
+const avatars = ['🧑', '👩', '🧔', '👱', '🧑‍🦰', '👩‍🦱', '🧑‍🦳', '👲', '🧕', '🤠', '🥷', '🦸', '🧙', '🧑‍🚀', '🎅'];
 
-    grid.innerHTML = players.map((p, i) => `
-    <div class="player-chip">
+function playerChip(p, i) {
+    // Host can click a player to move them to the next team
+    const onclick = isHost && p.team ? ` onclick="moveToNextTeam('${p.id}')" title="Move to next team"` : '';
+    return `
+    <div class="player-chip"${onclick}>
       <div class="avatar">${avatars[i % avatars.length]}</div>
       <span>${escapeHtml(p.name)}</span>
     </div>
-  `).join('');
+  `;
+}
+
+function updateLobby(players, teamList = []) {
+    lobbyPlayers = players;
+    teams = teamList || [];
+    const grid = document.getElementById('playersGrid');
+    const teamsGrid = document.getElementById('teamsGrid');
+
+    grid.classList.toggle('hidden', teams.length > 0);
+    teamsGrid.classList.toggle('hidden', teams.length === 0);
+    if (teams.length > 0) {
+        const me = players.find(p => p.id === socket.id);
+        teamsGrid.innerHTML = teams.map((team, t) => `
+      <div class="team-column${me && me.team === team.name ? ' my-team' : ''}">
+        <h3>${escapeHtml(team.name)}</h3>
+        <div class="players-grid">
+          ${players.filter(p => p.team === team.name).map((p, i) => playerChip(p, i)).join('')}
+        </div>
+        ${!isHost && me && me.team !== team.name
+            ? `<button class="btn btn-secondary btn-sm" onclick="chooseTeam(${t})">Join team</button>`
+            : ''}
+      </div>
+    `).join('');
+    } else {
+        grid.innerHTML = players.map(playerChip).join('');
+    }
 
     document.getElementById('playerCountDisplay').textContent = players.length;
 }
 
+function chooseTeam(index) {
+    socket.emit('choose-team', { roomId, team: teams[index].name });
+}
+
+function moveToNextTeam(playerId) {
+    const player = lobbyPlayers.find(p => p.id === playerId);
+    const names = teams.map(t => t.name);
+    const next = names[(names.indexOf(player.team) + 1) % names.length];
+    socket.emit('assign-team', { roomId, playerId, team: next });
+}
+
 // ==================== LEADERBOARD UI ====================
 function renderMiniLeaderboard(players) {
     renderLeaderboard(players.slice(0, 5), 'miniLeaderboardList');
@@ -404,13 +741,116 @@ function renderLeaderboard(players, containerId) {
     container.innerHTML = players.map((p, i) => `
     <div class="leaderboard-item" style="--i:${i}">
       <div class="leaderboard-rank">${medals[i] || (i + 1)}</div>
-      <div class="leaderboard-name">${escapeHtml(p.name)} ${p.streak >= 3 ? '<span class="streak-badge">🔥 ' + p.streak + '</span>' : ''}</div>
+      <div class="leaderboard-name">${escapeHtml(p.name)} ${p.team ? `<span class="team-tag">${escapeHtml(p.team)}</span>` : ''} ${p.streak >= 3 ? '<span class="streak-badge">🔥 ' + p.streak + '</span>' : ''}</div>
       <div class="leaderboard-correct">${p.correctAnswers || 0}✅</div>
       <div class="leaderboard-score">${p.score.toLocaleString()}</div>
     </div>
   `).join('');
 }
 
+// Team scores above the individual list; hidden when the game has no teams
+function renderTeamStandings(teamList, containerId) {
+    const container = document.getElementById(containerId);
+    const hasTeams = teamList && teamList.length > 0;
+    container.classList.toggle('hidden', !hasTeams);
+    if (!hasTeams) return;
+
+    const medals = ['🥇', '🥈', '🥉'];
+    container.innerHTML = teamList.map((t, i) => `
+    <div class="leaderboard-item team-item" style="--i:${i}">
+      <div class="leaderboard-rank">${medals[i] || (i + 1)}</div>
+      <div class="leaderboard-name">👥 ${escapeHtml(t.name)}</div>
+      <div class="leaderboard-correct">${t.members} players</div>
+      <div class="leaderboard-score">${t.score.toLocaleString()}</div>
+    </div>
+  `).join('');
+}
+
+// Most common wrong answers and closest misses on the result screen
+function renderRoundGuesses({ commonWrongAnswers = [], closestMisses = [] }) {
+    document.getElementById('roundGuesses').classList.toggle('hidden', commonWrongAnswers.length === 0);
+    document.getElementById('commonWrongList').innerHTML = commonWrongAnswers.map(w => `
+    <li><span>"${escapeHtml(w.guess)}"</span>${w.count > 1 ? ` <span class="guess-count">×${w.count}</span>` : ''}</li>
+  `).join('');
+    document.getElementById('closestMissList').innerHTML = closestMisses.map(m => `
+    <li><span>"${escapeHtml(m.guess)}"</span> — ${escapeHtml(m.name)} <span class="guess-count">${Math.round(m.similarity * 100)}%</span></li>
+  `).join('');
+}
+
+// Host's live list of guesses; wrong ones can be accepted, right ones rejected
+function renderGuessFeed() {
+    const html = guessFeed.map(g => {
+        const label = g.override ? ` <span class="guess-count">${g.override}</span>` : '';
+        const points = g.correct ? ` <span class="guess-points">+${g.points}</span>` : '';
+        // Partial matches can go either way: full credit or none
+        const accept = g.matchQuality < 1
+            ? `<button class="btn btn-secondary btn-sm" onclick="overrideGuess('${g.id}', true)" title="Accept this guess">✅</button>` : '';
+        const reject = g.correct
+            ? `<button class="btn btn-secondary btn-sm" onclick="overrideGuess('${g.id}', false)" title="Reject this guess">❌</button>` : '';
+        return `
+    <li class="${g.correct ? 'correct' : 'wrong'}">
+      <span><strong>${escapeHtml(g.name)}</strong>: "${escapeHtml(g.guess)}"${points}${label}</span>
+      <span class="flex gap-2">${accept}${reject}</span>
+    </li>
+  `;
+    }).join('');
+    document.getElementById('guessFeedList').innerHTML = html;
+    document.getElementById('resultGuessFeedList').innerHTML = html;
+    document.getElementById('guessFeed').classList.toggle('hidden', !isHost || guessFeed.length === 0);
+    document.getElementById('resultGuessFeed').classList.toggle('hidden', !isHost || guessFeed.length === 0);
+}
+
+function overrideGuess(guessId, accept) {
+    hostControl('override-guess', { guessId, accept });
+}
+
+// ==================== GAME REPORT ====================
+async function loadReport() {
+    try {
+        const res = await fetch(`/api/report/${roomId}`);
+        if (!res.ok) return;
+        renderReport(await res.json());
+    } catch (err) {
+        console.error(err);
+    }
+}
+
+function renderReport(report) {
+    const base = `/api/report/${roomId}`;
+    document.getElementById('reportDownloads').innerHTML = `
+    <a class="btn btn-secondary btn-sm" href="${base}?download=1">⬇️ JSON</a>
+    <a class="btn btn-secondary btn-sm" href="${base}?format=csv&table=images">⬇️ Images CSV</a>
+    <a class="btn btn-secondary btn-sm" href="${base}?format=csv&table=players">⬇️ Players CSV</a>
+    <a class="btn btn-secondary btn-sm" href="${base}?format=csv&table=guesses">⬇️ All guesses CSV</a>
+  `;
+
+    // Hardest first
+    const images = [...report.images].sort((a, b) => a.percentCorrect - b.percentCorrect);
+    renderReportTable('reportImages', ['Round', 'Answer', 'Correct', 'Median time'], images.map(img => [
+        img.round, img.answer, `${img.percentCorrect}% (${img.correct}/${img.players})`, formatSeconds(img.medianTime)
+    ]));
+    renderReportTable('reportPlayers', ['Player', 'Score', 'Accuracy', 'Avg time'], report.players.map(p => [
+        p.team ? `${p.name} (${p.team})` : p.name, p.score.toLocaleString(), `${p.accuracy}%`, formatSeconds(p.averageTime)
+    ]));
+    renderReportTable('reportWrongGuesses', ['Round', 'Player', 'Guess', 'Answer'], report.wrongGuesses.map(g => [
+        g.round, g.player, g.guess, g.answer
+    ]));
+
+    document.getElementById('reportSection').classList.remove('hidden');
+}
+
+function renderReportTable(id, headers, rows) {
+    const body = rows.length > 0
+        ? rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(String(cell))}</td>`).join('')}</tr>`).join('')
+        : `<tr><td colspan="${headers.length}">Nothing yet</td></tr>`;
+    document.getElementById(id).innerHTML =
+        `<thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${body}</tbody>`;
+}
+
+function formatSeconds(ms) {
+    return ms === null || ms === undefined ? '—' : `${(ms / 1000).toFixed(1)}s`;
+}
+
 // ==================== PODIUM ====================
 function renderPodium(players) {
     const container = document.getElementById('podiumContainer');
@@ -440,17 +880,22 @@ function showFeedback(type, text) {
     setTimeout(() => el.remove(), 1500);
 }
 
-function showScorePopup(points, streak, position, matchType) {
+function showScorePopup(points, streak, position, matchType, breakdown = []) {
     const el = document.createElement('div');
     el.className = 'score-popup';
     let matchLabel = '';
     if (matchType === 'close') matchLabel = '<div class="bonus-text">👍 Close enough!</div>';
     else if (matchType === 'partial') matchLabel = '<div class="bonus-text">🟡 Partial match</div>';
+    // How the points were made up, under the room's scoring preset
+    const lines = breakdown.map(line =>
+        `<div class="breakdown-line">${escapeHtml(line.label)} <span>${line.points > 0 ? '+' : ''}${line.points}</span></div>`
+    ).join('');
     el.innerHTML = `
     <div class="points">+${points}</div>
     ${matchLabel}
     ${position === 1 ? '<div class="bonus-text">🥇 First to answer!</div>' : ''}
     ${streak >= 3 ? '<div class="bonus-text">🔥 ' + streak + ' streak bonus!</div>' : (streak >= 2 ? '<div class="bonus-text">🔥 Streak!</div>' : '')}
+    ${lines ? `<div class="breakdown">${lines}</div>` : ''}
   `;
     document.body.appendChild(el);
     setTimeout(() => el.remove(), 2000);
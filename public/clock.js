@@ -0,0 +1,54 @@
+// ==================== SERVER CLOCK ====================
+// NTP-style: we ask the server for its clock and time the round trip
+// ourselves, taking its reading to be from halfway through (see CLOCK SYNC
+// in server.js). From those we estimate the server's time, so countdowns
+// run to the server's end of the round rather than to whenever our copy of
+// the numbers happened to arrive.
+
+const CLOCK_SAMPLES = 5;
+const CLOCK_SYNC_INTERVAL = 15 * 1000;
+let clockSamples = []; // [{ offset, rtt }], newest last
+
+function watchServerClock(socket) {
+    // The server times its own probes (latency compensation) - just answer
+    socket.on('clock-probe', (ack) => ack());
+
+    // A few quick exchanges on every (re)connect, then one every 15s
+    let interval = null;
+    socket.on('connect', () => {
+        for (const delay of [0, 500, 1000]) setTimeout(() => syncClock(socket), delay);
+        clearInterval(interval);
+        interval = setInterval(() => syncClock(socket), CLOCK_SYNC_INTERVAL);
+    });
+}
+
+function syncClock(socket) {
+    const sent = Date.now();
+    socket.timeout(5000).emit('clock-sync', (err, reply) => {
+        if (err || !reply || typeof reply.serverTime !== 'number') return;
+        const received = Date.now();
+        const rtt = received - sent;
+        addClockSample(reply.serverTime + rtt / 2 - received, rtt);
+    });
+}
+
+function addClockSample(offset, rtt) {
+    clockSamples.push({ offset, rtt });
+    if (clockSamples.length > CLOCK_SAMPLES) clockSamples.shift();
+}
+
+// Until the first probe has been timed, a serverTime from any payload is
+// better than trusting this device's clock
+function noteServerTime(serverTime) {
+    if (clockSamples.length === 0 && typeof serverTime === 'number') {
+        addClockSample(serverTime - Date.now(), Infinity);
+    }
+}
+
+// The server's Date.now() as best we know it. The sample with the shortest
+// round trip wins - delays on the way only ever skew the estimate.
+function serverNow() {
+    if (clockSamples.length === 0) return Date.now();
+    const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    return Date.now() + best.offset;
+}
@@ -0,0 +1,216 @@
+// ==================== WORLD MAP ====================
+// Offline world map for pin rounds: country outlines from the bundled
+// world-atlas TopoJSON, drawn on a canvas in an equirectangular projection.
+// Drag to pan, scroll (or the +/- buttons) to zoom, tap to drop a pin.
+
+let worldFeaturesPromise = null;
+
+function loadWorldFeatures() {
+    if (!worldFeaturesPromise) {
+        worldFeaturesPromise = fetch('/vendor/world-110m.json')
+            .then(r => r.json())
+            .then(world => topojson.feature(world, world.objects.countries).features.map(unwrapFeature));
+    }
+    return worldFeaturesPromise;
+}
+
+// Rings that cross the antimeridian jump ±360°; unwrap them so they fill
+// correctly (the map is drawn three times side by side to cover the seam)
+function unwrapFeature(feature) {
+    const geom = feature.geometry;
+    if (!geom) return [];
+    const polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates;
+    return polygons.map(rings => rings.map(ring => {
+        let offset = 0;
+        return ring.map(([lng, lat], i) => {
+            if (i > 0) {
+                const prev = ring[i - 1][0];
+                if (lng - prev > 180) offset -= 360;
+                else if (prev - lng > 180) offset += 360;
+            }
+            return [lng + offset, lat];
+        });
+    }));
+}
+
+class WorldMap {
+    constructor(canvas, { onPick = null } = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onPick = onPick;
+        this.polygons = [];
+        this.markers = [];   // [{ lat, lng, color, label, size }]
+        this.lines = [];     // [[{ lat, lng }, { lat, lng }]]
+        this.reset();
+
+        loadWorldFeatures().then(features => {
+            this.polygons = features.flat();
+            this.draw();
+        });
+
+        this.bindEvents();
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    reset() {
+        this.zoom = 1;
+        this.center = { lat: 10, lng: 0 };
+        this.markers = [];
+        this.lines = [];
+        this.draw();
+    }
+
+    get scale() {
+        return (this.width / 360) * this.zoom;
+    }
+
+    project(lat, lng) {
+        return [
+            (lng - this.center.lng) * this.scale + this.width / 2,
+            (this.center.lat - lat) * this.scale + this.height / 2
+        ];
+    }
+
+    unproject(x, y) {
+        const lng = (x - this.width / 2) / this.scale + this.center.lng;
+        const lat = this.center.lat - (y - this.height / 2) / this.scale;
+        return {
+            lat: Math.max(-90, Math.min(90, lat)),
+            lng: ((((lng + 180) % 360) + 360) % 360) - 180
+        };
+    }
+
+    zoomBy(factor, x = this.width / 2, y = this.height / 2) {
+        const before = this.unproject(x, y);
+        this.zoom = Math.max(1, Math.min(40, this.zoom * factor));
+        const after = this.unproject(x, y);
+        this.center.lng += before.lng - after.lng;
+        this.center.lat += before.lat - after.lat;
+        this.clampCenter();
+        this.draw();
+    }
+
+    clampCenter() {
+        const halfLat = (this.height / 2) / this.scale;
+        this.center.lat = Math.max(-90 + halfLat, Math.min(90 - halfLat, this.center.lat));
+        if (this.center.lng > 180) this.center.lng -= 360;
+        if (this.center.lng < -180) this.center.lng += 360;
+    }
+
+    // Zooms to fit a set of points (used to frame pins on the result screen)
+    fitTo(points) {
+        if (points.length === 0) return;
+        const lats = points.map(p => p.lat);
+        const lngs = points.map(p => p.lng);
+        const spanLat = Math.max(...lats) - Math.min(...lats);
+        const spanLng = Math.max(...lngs) - Math.min(...lngs);
+        this.center = {
+            lat: (Math.max(...lats) + Math.min(...lats)) / 2,
+            lng: (Math.max(...lngs) + Math.min(...lngs)) / 2
+        };
+        this.zoom = Math.max(1, Math.min(20, 0.8 * Math.min(360 / (spanLng || 1), 180 / (spanLat || 1))));
+        this.clampCenter();
+        this.draw();
+    }
+
+    setMarkers(markers, lines = []) {
+        this.markers = markers;
+        this.lines = lines;
+        this.draw();
+    }
+
+    bindEvents() {
+        let drag = null;
+        this.canvas.addEventListener('pointerdown', (e) => {
+            drag = { x: e.offsetX, y: e.offsetY, moved: false };
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const dx = e.offsetX - drag.x;
+            const dy = e.offsetY - drag.y;
+            if (Math.abs(dx) + Math.abs(dy) > 4) drag.moved = true;
+            if (!drag.moved) return;
+            this.center.lng -= dx / this.scale;
+            this.center.lat += dy / this.scale;
+            this.clampCenter();
+            drag.x = e.offsetX;
+            drag.y = e.offsetY;
+            this.draw();
+        });
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (drag && !drag.moved && this.onPick) {
+                this.onPick(this.unproject(e.offsetX, e.offsetY));
+            }
+            drag = null;
+        });
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? 1.5 : 1 / 1.5, e.offsetX, e.offsetY);
+        }, { passive: false });
+    }
+
+    draw() {
+        const ratio = window.devicePixelRatio || 1;
+        this.width = this.canvas.clientWidth || 600;
+        this.height = this.width / 2;
+        this.canvas.width = this.width * ratio;
+        this.canvas.height = this.height * ratio;
+        this.canvas.style.height = `${this.height}px`;
+
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = '#0f1a33';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        // Land, drawn at -360/0/+360 so the antimeridian seam is covered
+        ctx.fillStyle = '#2a2f55';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 0.6;
+        for (const shift of [-360, 0, 360]) {
+            for (const rings of this.polygons) {
+                ctx.beginPath();
+                for (const ring of rings) {
+                    ring.forEach(([lng, lat], i) => {
+                        const [x, y] = this.project(lat, lng + shift);
+                        if (i === 0) ctx.moveTo(x, y);
+                        else ctx.lineTo(x, y);
+                    });
+                    ctx.closePath();
+                }
+                ctx.fill('evenodd');
+                ctx.stroke();
+            }
+        }
+
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1.5;
+        for (const [a, b] of this.lines) {
+            const [x1, y1] = this.project(a.lat, a.lng);
+            const [x2, y2] = this.project(b.lat, b.lng);
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        ctx.font = '600 12px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        for (const m of this.markers) {
+            const [x, y] = this.project(m.lat, m.lng);
+            ctx.beginPath();
+            ctx.arc(x, y, m.size || 6, 0, Math.PI * 2);
+            ctx.fillStyle = m.color || '#7c3aed';
+            ctx.fill();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            if (m.label) {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(m.label, x, y - (m.size || 6) - 6);
+            }
+        }
+    }
+}
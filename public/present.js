@@ -0,0 +1,404 @@
+// ==================== GLOBALS ====================
+// Presenter (big-screen) view: joins as a spectator and only renders what
+// the room broadcasts - no guessing, no host controls.
+// The room id goes along with the connection so a clustered server
+// (cluster.js) can route it to the process that owns the room
+const socket = io({ query: { roomId: window.location.pathname.split('/').pop() } });
+watchServerClock(socket);
+let roomId = null;
+let timerInterval = null;
+let currentHints = [];
+let playerCount = 0;
+// Last round's ranking by player name (socket ids change when a phone reconnects)
+let previousStandings = new Map();
+
+// ==================== INIT ====================
+(function init() {
+    // Extract room ID from URL: /present/:roomId
+    const pathParts = window.location.pathname.split('/');
+    roomId = pathParts[pathParts.length - 1];
+
+    const joinLink = `${window.location.origin}/play/${roomId}`;
+    document.getElementById('joinLink').textContent = joinLink;
+    document.getElementById('navJoinLink').textContent = joinLink;
+
+    socket.emit('spectator-join', { roomId });
+    socket.io.on('reconnect', () => {
+        socket.emit('spectator-join', { roomId });
+    });
+})();
+
+// ==================== SCREEN MANAGEMENT ====================
+function showScreen(screenId) {
+    document.querySelectorAll('.game-screen').forEach(s => s.classList.remove('active'));
+    document.getElementById(screenId).classList.add('active');
+}
+
+// ==================== SOCKET EVENTS ====================
+socket.on('room-joined', (data) => {
+    updateLobby(data.players, data.teams);
+    if (data.state === 'finished') {
+        showFinal(data);
+    } else if (data.state !== 'playing') {
+        // Mid-game between rounds: the lobby (with the join link) until the next round starts
+        showScreen('lobbyScreen');
+    }
+});
+
+socket.on('player-update', (data) => {
+    updateLobby(data.players, data.teams);
+});
+
+socket.on('game-started', (data) => {
+    showScreen('countdownScreen');
+    document.getElementById('gameInfo').textContent =
+        `${data.totalRounds} rounds • ${data.roundTime}s each • ${data.playerCount} players`;
+
+    let count = 3;
+    document.getElementById('countdownNumber').textContent = count;
+    const countInterval = setInterval(() => {
+        count--;
+        if (count > 0) {
+            document.getElementById('countdownNumber').textContent = count;
+        } else {
+            clearInterval(countInterval);
+            document.getElementById('countdownNumber').textContent = 'GO!';
+        }
+    }, 700);
+});
+
+socket.on('round-start', (data) => {
+    showScreen('playingScreen');
+    currentHints = [];
+
+    document.getElementById('currentRound').textContent = data.round;
+    document.getElementById('totalRounds').textContent = data.totalRounds;
+    showRoundImage('gameImage', data);
+    document.getElementById('answeredCount').textContent = '0';
+    document.getElementById('totalPlayers').textContent = playerCount;
+    document.getElementById('hintsContainer').innerHTML = '';
+    renderChoices(data.mode === 'choice' ? data.choices : null);
+    (data.hints || []).forEach(addHint);
+    applyTimerSync(data);
+});
+
+socket.on('timer-sync', (data) => {
+    applyTimerSync(data);
+});
+
+socket.on('reveal', (data) => {
+    applyReveal(data);
+});
+
+socket.on('hint', (data) => {
+    addHint(data);
+});
+
+socket.on('round-skipped', () => {
+    showToast('⏭ The host skipped this image', 'info');
+});
+
+socket.on('leaderboard-update', (data) => {
+    document.getElementById('answeredCount').textContent = data.answeredCount;
+    document.getElementById('totalPlayers').textContent = data.totalPlayers;
+    document.getElementById('resultCorrectCount').textContent = data.answeredCount;
+});
+
+socket.on('round-end', (data) => {
+    if (timerInterval) clearInterval(timerInterval);
+    showScreen('roundResultScreen');
+
+    document.getElementById('resultRound').textContent = data.round;
+    document.getElementById('resultTotalRounds').textContent = data.totalRounds;
+    showRoundImage('resultImage', data);
+    document.getElementById('revealAnswer').textContent = data.correctAnswer;
+
+    const alternatives = document.getElementById('revealAlternatives');
+    const hasAlternatives = data.alternatives && data.alternatives.length > 0;
+    alternatives.textContent = hasAlternatives ? `Also accepted: ${data.alternatives.join(', ')}` : '';
+    alternatives.classList.toggle('hidden', !hasAlternatives);
+    document.getElementById('resultCorrectCount').textContent = data.answeredCount;
+    document.getElementById('resultTotalCount').textContent = data.totalPlayers;
+
+    renderAnimatedLeaderboard(data.players);
+    renderTeamStandings(data.teams, 'resultTeams');
+    startNextRoundCountdown(data.nextRoundIn);
+});
+
+socket.on('game-over', (data) => {
+    if (timerInterval) clearInterval(timerInterval);
+    showFinal(data);
+    launchConfetti();
+});
+
+socket.on('host-disconnected', () => {
+    showToast('Host disconnected! The game may end soon.', 'warning');
+});
+
+socket.on('error-msg', (data) => {
+    document.getElementById('lobbySubtitle').textContent = data.message;
+});
+
+// ==================== TIMER ====================
+// endsAt is in server time (see clock.js)
+function startTimer(endsAt, totalTime) {
+    if (timerInterval) clearInterval(timerInterval);
+
+    const bar = document.getElementById('timerBar');
+    const timeText = document.getElementById('timeLeft');
+
+    timerInterval = setInterval(() => {
+        const remaining = Math.max(0, endsAt - serverNow());
+        const fraction = remaining / totalTime;
+
+        bar.style.width = `${fraction * 100}%`;
+        bar.classList.toggle('warning', fraction < 0.25);
+        timeText.classList.toggle('urgent', fraction < 0.25);
+        timeText.textContent = Math.ceil(remaining / 1000);
+
+        if (remaining <= 0) clearInterval(timerInterval);
+    }, 50);
+}
+
+function applyTimerSync({ timeRemaining, totalTime, endsAt, serverTime, paused }) {
+    noteServerTime(serverTime);
+    document.getElementById('pausedOverlay').classList.toggle('hidden', !paused);
+    if (paused) {
+        if (timerInterval) clearInterval(timerInterval);
+        document.getElementById('timerBar').style.width = `${(timeRemaining / totalTime) * 100}%`;
+        document.getElementById('timeLeft').textContent = `⏸ ${Math.ceil(timeRemaining / 1000)}`;
+    } else {
+        startTimer(endsAt || serverNow() + timeRemaining, totalTime);
+    }
+}
+
+function startNextRoundCountdown(nextRoundIn) {
+    const text = document.getElementById('nextRoundText');
+    if (!nextRoundIn) {
+        text.textContent = 'Waiting for the host to continue';
+        return;
+    }
+    const endTime = Date.now() + nextRoundIn;
+    const tick = () => {
+        const seconds = Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+        text.textContent = `Next round in ${seconds}s`;
+    };
+    tick();
+    timerInterval = setInterval(tick, 250);
+}
+
+// ==================== ROUND UI ====================
+function addHint(hint) {
+    if (currentHints.find(h => h.index === hint.index)) return;
+    currentHints.push(hint);
+
+    const badge = document.createElement('div');
+    badge.className = 'hint-badge';
+    badge.textContent = `💡 ${hint.message}`;
+    document.getElementById('hintsContainer').appendChild(badge);
+}
+
+// Round pictures come in several sizes; the browser picks one to fit the screen
+function showRoundImage(id, data) {
+    const img = document.getElementById(id);
+    img.srcset = data.imageSrcset || '';
+    img.src = data.image;
+}
+
+// Reveal rounds: the server draws every step (blurred, zoomed or tiled),
+// so a new step is just a new picture
+function applyReveal(state) {
+    if (state && state.image) showRoundImage('gameImage', state);
+}
+
+// Choice rounds: the options on the big screen, not clickable
+function renderChoices(choices) {
+    const section = document.getElementById('choiceSection');
+    section.classList.toggle('hidden', !choices);
+    if (!choices) return;
+    const letters = ['A', 'B', 'C', 'D'];
+    section.innerHTML = choices.map((choice, i) => `
+    <div class="choice-btn">
+      <span class="choice-letter">${letters[i]}</span>
+      <span>${escapeHtml(choice)}</span>
+    </div>
+  `).join('');
+}
+
+// ==================== LOBBY UI ====================
+const avatars = ['🧑', '👩', '🧔', '👱', '🧑‍🦰', '👩‍🦱', '🧑‍🦳', '👲', '🧕', '🤠', '🥷', '🦸', '🧙', '🧑‍🚀', '🎅'];
+
+function playerChip(p, i) {
+    return `
+    <div class="player-chip">
+      <div class="avatar">${avatars[i % avatars.length]}</div>
+      <span>${escapeHtml(p.name)}</span>
+    </div>
+  `;
+}
+
+function updateLobby(players, teamList = []) {
+    const teams = teamList || [];
+    const grid = document.getElementById('playersGrid');
+    const teamsGrid = document.getElementById('teamsGrid');
+    playerCount = players.length;
+
+    grid.classList.toggle('hidden', teams.length > 0);
+    teamsGrid.classList.toggle('hidden', teams.length === 0);
+    if (teams.length > 0) {
+        teamsGrid.innerHTML = teams.map(team => `
+      <div class="team-column">
+        <h3>${escapeHtml(team.name)}</h3>
+        <div class="players-grid">
+          ${players.filter(p => p.team === team.name).map(playerChip).join('')}
+        </div>
+      </div>
+    `).join('');
+    } else {
+        grid.innerHTML = players.map(playerChip).join('');
+    }
+
+    document.getElementById('playerCountDisplay').textContent = players.length;
+}
+
+// ==================== LEADERBOARD UI ====================
+function leaderboardRow(p, i, score) {
+    const medals = ['🥇', '🥈', '🥉'];
+    return `
+    <div class="leaderboard-item">
+      <div class="leaderboard-rank">${medals[i] || (i + 1)}</div>
+      <div class="leaderboard-name">${escapeHtml(p.name)} ${p.team ? `<span class="team-tag">${escapeHtml(p.team)}</span>` : ''} ${p.streak >= 3 ? '<span class="streak-badge">🔥 ' + p.streak + '</span>' : ''}</div>
+      <div class="leaderboard-correct">${p.correctAnswers || 0}✅</div>
+      <div class="leaderboard-score">${score.toLocaleString()}</div>
+    </div>
+  `;
+}
+
+// Top ten, drawn in the new order but starting from last round's positions,
+// then sliding into place while the scores count up
+function renderAnimatedLeaderboard(players) {
+    const container = document.getElementById('resultLeaderboard');
+    const top = players.slice(0, 10);
+    const before = top.map(p => previousStandings.get(p.name) || { rank: top.length, score: 0 });
+
+    container.innerHTML = top.map((p, i) => leaderboardRow(p, i, before[i].score)).join('');
+    const rows = [...container.children];
+    const rowHeight = rows.length > 0 ? rows[0].getBoundingClientRect().height + 6 : 0;
+
+    rows.forEach((row, i) => {
+        row.style.transition = 'none';
+        row.style.transform = `translateY(${(before[i].rank - i) * rowHeight}px)`;
+    });
+    // Let the old positions paint before moving
+    setTimeout(() => {
+        rows.forEach((row, i) => {
+            row.style.transition = 'transform 0.9s ease';
+            row.style.transform = '';
+            countUp(row.querySelector('.leaderboard-score'), before[i].score, top[i].score);
+        });
+    }, 800);
+
+    previousStandings = new Map(players.map((p, i) => [p.name, { rank: i, score: p.score }]));
+}
+
+function countUp(el, from, to) {
+    const start = performance.now();
+    const step = (now) => {
+        const t = Math.min(1, (now - start) / 900);
+        el.textContent = Math.round(from + (to - from) * t).toLocaleString();
+        if (t < 1) requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+}
+
+function renderLeaderboard(players, containerId) {
+    document.getElementById(containerId).innerHTML = players.map((p, i) => leaderboardRow(p, i, p.score)).join('');
+}
+
+function renderTeamStandings(teamList, containerId) {
+    const container = document.getElementById(containerId);
+    const hasTeams = teamList && teamList.length > 0;
+    container.classList.toggle('hidden', !hasTeams);
+    if (!hasTeams) return;
+
+    const medals = ['🥇', '🥈', '🥉'];
+    container.innerHTML = teamList.map((t, i) => `
+    <div class="leaderboard-item team-item" style="--i:${i}">
+      <div class="leaderboard-rank">${medals[i] || (i + 1)}</div>
+      <div class="leaderboard-name">👥 ${escapeHtml(t.name)}</div>
+      <div class="leaderboard-correct">${t.members} players</div>
+      <div class="leaderboard-score">${t.score.toLocaleString()}</div>
+    </div>
+  `).join('');
+}
+
+// ==================== FINAL RESULTS ====================
+function showFinal(data) {
+    showScreen('finalScreen');
+    const players = data.players || [];
+    const teams = data.teams || [];
+    const winningTeam = data.winningTeam || teams[0];
+
+    if (winningTeam) {
+        document.getElementById('winnerAnnouncement').textContent =
+            `🎉 Team ${winningTeam.name} wins with ${winningTeam.score} points!`;
+    } else if (players.length > 0) {
+        document.getElementById('winnerAnnouncement').textContent =
+            `🎉 ${players[0].name} wins with ${players[0].score} points!`;
+    }
+
+    renderPodium(players);
+    renderLeaderboard(players, 'fullLeaderboardList');
+    renderTeamStandings(teams, 'finalTeams');
+}
+
+function renderPodium(players) {
+    const container = document.getElementById('podiumContainer');
+    const top3 = players.slice(0, 3);
+    const emojis = ['👑', '⭐', '🌟'];
+    // 2nd on the left, 1st in the centre, 3rd on the right
+    const cssOrder = [1, 0, 2];
+
+    container.innerHTML = top3.map((p, i) => `
+      <div class="podium-place" style="order:${cssOrder[i]}">
+        <div class="podium-avatar">${emojis[i]}</div>
+        <div class="podium-name">${escapeHtml(p.name)}</div>
+        <div class="podium-score">${p.score.toLocaleString()} pts</div>
+        <div class="podium-bar">#${i + 1}</div>
+      </div>`).join('');
+}
+
+// ==================== CONFETTI ====================
+function launchConfetti() {
+    const colors = ['#7c3aed', '#06b6d4', '#f59e0b', '#10b981', '#ef4444', '#ec4899', '#fbbf24'];
+    for (let i = 0; i < 120; i++) {
+        const piece = document.createElement('div');
+        piece.className = 'confetti-piece';
+        piece.style.left = Math.random() * 100 + 'vw';
+        piece.style.width = (Math.random() * 12 + 6) + 'px';
+        piece.style.height = (Math.random() * 12 + 6) + 'px';
+        piece.style.background = colors[Math.floor(Math.random() * colors.length)];
+        piece.style.borderRadius = Math.random() > 0.5 ? '50%' : '0';
+        piece.style.animationDuration = (Math.random() * 2 + 2) + 's';
+        piece.style.animationDelay = Math.random() * 1.5 + 's';
+        document.body.appendChild(piece);
+        setTimeout(() => piece.remove(), 5000);
+    }
+}
+
+// ==================== TOASTS ====================
+function showToast(message, type = 'info') {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+    container.appendChild(toast);
+    setTimeout(() => toast.remove(), 4000);
+}
+
+// ==================== UTILS ====================
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,32 @@
+// Fixed-window hit counters, keyed by whatever the caller limits on (a
+// socket id, an IP). Keeps one client from flooding guesses, joins or
+// room creation.
+
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key -> { start, count }
+
+  // Forget keys whose window has passed so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (now - window.start >= windowMs) windows.delete(key);
+    }
+  }, Math.max(windowMs, 60 * 1000));
+  sweep.unref();
+
+  return {
+    // Counts a hit; false once the key is over its limit for this window
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(key, window);
+      }
+      window.count++;
+      return window.count <= limit;
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
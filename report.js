@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Post-game analytics built from player.answers and the room's guess log.
+// Finished games' reports are kept on disk so they outlive the room.
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+// players: every player who took part, connected or not
+function buildReport(room, players) {
+  const rounds = Math.min(room.currentRound, room.images.length);
+
+  const images = [];
+  for (let round = 1; round <= rounds; round++) {
+    const answers = players.map(p => p.answers.find(a => a.round === round)).filter(Boolean);
+    const correct = answers.filter(a => a.correct);
+    images.push({
+      round,
+      answer: room.images[round - 1].answer,
+      players: answers.length,
+      correct: correct.length,
+      percentCorrect: percent(correct.length, answers.length),
+      medianTime: median(correct.map(a => a.time))
+    });
+  }
+
+  const playerStats = players.map(p => {
+    const correct = p.answers.filter(a => a.correct);
+    const times = correct.map(a => a.time);
+    return {
+      name: p.name,
+      team: p.team || null,
+      score: p.score,
+      rounds: p.answers.length,
+      correct: correct.length,
+      accuracy: percent(correct.length, p.answers.length),
+      averageTime: times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+      medianTime: median(times)
+    };
+  }).sort((a, b) => b.score - a.score);
+
+  const guesses = room.guessLog.map(g => ({
+    round: g.round,
+    answer: room.images[g.round - 1] ? room.images[g.round - 1].answer : null,
+    player: g.name,
+    guess: g.guess,
+    time: g.time,
+    correct: g.correct,
+    matchQuality: g.matchQuality,
+    similarity: g.similarity,
+    points: g.points,
+    override: g.override || null
+  }));
+
+  return {
+    roomId: room.id,
+    generatedAt: Date.now(),
+    settings: room.settings,
+    images,
+    players: playerStats,
+    guesses,
+    wrongGuesses: guesses.filter(g => !g.correct)
+  };
+}
+
+// ==================== CSV ====================
+
+const CSV_TABLES = {
+  images: ['round', 'answer', 'players', 'correct', 'percentCorrect', 'medianTime'],
+  players: ['name', 'team', 'score', 'rounds', 'correct', 'accuracy', 'averageTime', 'medianTime'],
+  guesses: ['round', 'answer', 'player', 'guess', 'time', 'correct', 'matchQuality', 'similarity', 'points', 'override'],
+  wrongGuesses: ['round', 'answer', 'player', 'guess', 'time', 'similarity']
+};
+
+// Text that a spreadsheet would run as a formula (a player named
+// "=HYPERLINK(...)") gets a leading ' so it opens as plain text.
+// Numbers are left alone - negative points are just numbers.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One table of the report as CSV; returns null for an unknown table
+function reportToCsv(report, table) {
+  const columns = CSV_TABLES[table];
+  if (!columns) return null;
+  const rows = report[table].map(row => columns.map(c => csvCell(row[c])).join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// ==================== STORE ====================
+
+function createReportStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (roomId) => path.join(dir, `${roomId}.json`);
+
+  return {
+    save(report) {
+      const file = fileFor(report.roomId);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(report, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+
+    get(roomId) {
+      if (!/^[a-f0-9-]{1,36}$/.test(roomId)) return null;
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(roomId), 'utf8'));
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { buildReport, reportToCsv, createReportStore, CSV_TABLES };
@@ -0,0 +1,71 @@
+// Progressive image reveal: the picture starts blurred, zoomed in or
+// covered by tiles and opens up in steps over the round. The server owns
+// the schedule; clients only render the current step.
+
+const REVEAL_TYPES = ['none', 'blur', 'zoom', 'tiles'];
+
+const REVEAL_STEPS = 10;
+// Fraction of the round by which the image is fully visible
+const REVEAL_END = 0.8;
+// Tile grid is TILE_GRID x TILE_GRID
+const TILE_GRID = 5;
+
+function shuffled(count) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// Per-round reveal plan, stored on the room so every client (and a
+// restored server) sees the same tiles and zoom point. The id tells one
+// round's step images apart from another's.
+function createRevealPlan(type) {
+  if (!REVEAL_TYPES.includes(type) || type === 'none') return null;
+  const plan = { id: Math.random().toString(36).slice(2, 10), type, steps: REVEAL_STEPS };
+  if (type === 'tiles') {
+    plan.grid = TILE_GRID;
+    plan.tileOrder = shuffled(TILE_GRID * TILE_GRID);
+  }
+  if (type === 'zoom') {
+    // Keep the focus away from the edges so the zoomed view isn't just border
+    plan.focus = { x: 0.25 + Math.random() * 0.5, y: 0.25 + Math.random() * 0.5 };
+  }
+  return plan;
+}
+
+// Current step (0 = fully hidden, steps = fully visible) for the elapsed time
+function revealStep(plan, elapsed, totalTime) {
+  if (!plan) return 0;
+  const progress = elapsed / (totalTime * REVEAL_END);
+  return Math.max(0, Math.min(plan.steps, Math.floor(progress * plan.steps)));
+}
+
+// Fraction of the image visible at a step, 0..1
+function revealedFraction(plan, step) {
+  if (!plan) return 1;
+  return step / plan.steps;
+}
+
+// What clients need to draw a step; tiles are sent as the uncovered indexes
+function revealState(plan, step) {
+  if (!plan) return null;
+  const revealed = revealedFraction(plan, step);
+  const state = { type: plan.type, step, steps: plan.steps, revealed };
+  if (plan.type === 'tiles') {
+    state.grid = plan.grid;
+    state.tiles = plan.tileOrder.slice(0, Math.round(revealed * plan.tileOrder.length));
+  }
+  if (plan.type === 'zoom') state.focus = plan.focus;
+  return state;
+}
+
+// Points multiplier: up to double for answering while the image was still hidden
+function revealMultiplier(plan, step) {
+  if (!plan) return 1;
+  return 2 - revealedFraction(plan, step);
+}
+
+module.exports = { REVEAL_TYPES, createRevealPlan, revealStep, revealState, revealMultiplier };
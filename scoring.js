@@ -0,0 +1,85 @@
+// Scoring rules. A room picks one of the presets below by name
+// (settings.scoring); a preset is plain data, so a new one is one more
+// entry here and an <option> in host.html.
+//
+//   speed            points for a correct answer fall linearly from max to
+//                    min over the round (max === min: speed doesn't matter)
+//   bonusMinQuality  match quality needed to count for streak and position bonuses
+//   streakBonus      extra points for a streak of 2, 3, ... (the last one repeats)
+//   positionBonus    extra points for the 1st, 2nd, 3rd... correct answer
+//   wrongPenalty     points taken off for every wrong guess
+
+const CLASSIC = {
+  speed: { max: 1000, min: 100 },
+  bonusMinQuality: 0.7,
+  streakBonus: [100, 200],
+  positionBonus: [300, 150, 50],
+  wrongPenalty: 0
+};
+
+const PRESETS = {
+  classic: CLASSIC,
+  accuracy: { ...CLASSIC, speed: { max: 1000, min: 1000 }, positionBonus: [] },
+  speed: { ...CLASSIC, speed: { max: 1500, min: 50 }, streakBonus: [], positionBonus: [500, 250, 100] },
+  'no-bonuses': { ...CLASSIC, streakBonus: [], positionBonus: [] },
+  negative: { ...CLASSIC, wrongPenalty: 100 }
+};
+
+const SCORING_PRESETS = Object.keys(PRESETS);
+
+// Unknown names (rooms saved before presets existed) play classic
+function scoringRules(name) {
+  return PRESETS[name] || CLASSIC;
+}
+
+function ordinal(n) {
+  return n === 1 ? '1st' : n === 2 ? '2nd' : n === 3 ? '3rd' : `${n}th`;
+}
+
+// Points for one answer. elapsed/totalTime in ms, matchQuality 0 to 1.0,
+// revealMultiplier from reveal.js. Returns { points, streak, matchType,
+// breakdown } where breakdown is [{ label, points }] adding up to points.
+// Hints unlocked early aren't in here - they're paid for when bought.
+function computeScore(rules, { elapsed, totalTime, matchQuality, streakBefore, position, revealMultiplier = 1 }) {
+  const breakdown = [];
+
+  // Time-based: faster = more points
+  const { max, min } = rules.speed;
+  const timeRatio = Math.min(1, Math.max(0, elapsed / totalTime));
+  const basePoints = Math.round(max - timeRatio * (max - min));
+  breakdown.push({ label: max === min ? 'Correct' : 'Speed', points: basePoints });
+
+  // Reveal rounds: answering while less of the image was visible is worth more
+  const revealedPoints = Math.round(basePoints * revealMultiplier);
+  if (revealedPoints !== basePoints) breakdown.push({ label: 'Early reveal', points: revealedPoints - basePoints });
+
+  let points = Math.round(revealedPoints * matchQuality);
+  if (points !== revealedPoints) {
+    breakdown.push({ label: `${Math.round(matchQuality * 100)}% match`, points: points - revealedPoints });
+  }
+
+  // Match type for UI feedback
+  let matchType = 'exact';     // 1.0
+  if (matchQuality < 1.0 && matchQuality >= 0.7) matchType = 'close';
+  else if (matchQuality < 0.7) matchType = 'partial';
+
+  let streak = streakBefore;
+  if (matchQuality >= rules.bonusMinQuality) {
+    streak++;
+    const streakBonus = streak >= 2 ? rules.streakBonus[Math.min(streak - 2, rules.streakBonus.length - 1)] || 0 : 0;
+    if (streakBonus) {
+      points += streakBonus;
+      breakdown.push({ label: `${streak} streak`, points: streakBonus });
+    }
+
+    const positionBonus = rules.positionBonus[position - 1] || 0;
+    if (positionBonus) {
+      points += positionBonus;
+      breakdown.push({ label: `${ordinal(position)} to answer`, points: positionBonus });
+    }
+  }
+
+  return { points, streak, matchType, breakdown };
+}
+
+module.exports = { SCORING_PRESETS, scoringRules, computeScore };
@@ -1,15 +1,32 @@
 const express = require('express');
 const http = require('http');
+const cluster = require('cluster');
 const { Server } = require('socket.io');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const { createStore } = require('./storage');
+const { createDeckStore } = require('./decks');
+const { createBundle, readBundle, BundleError } = require('./bundle');
+const { normalizeAnswer, LANGUAGES } = require('./normalize');
+const { STRICTNESS_LEVELS, matchAnswer, answerSimilarity } = require('./matcher');
+const { distanceKm, distanceQuality, parseLocation } = require('./geo');
+const { REVEAL_TYPES, createRevealPlan, revealStep, revealState, revealMultiplier } = require('./reveal');
+const { cleanHintSchedule, roundHints, visibleHints } = require('./hints');
+const { TEAM_SCORING, cleanTeamNames, pickTeam, teamStandings } = require('./teams');
+const { buildReport, reportToCsv, createReportStore } = require('./report');
+const { createMediaStore, MediaError } = require('./media');
+const { loadSecret, safeEqual, createHostAuth, cookieName, parseCookies, hostCookie, tokenFromRequest } = require('./auth');
+const { createRateLimiter } = require('./ratelimit');
+const { SCORING_PRESETS, scoringRules, computeScore } = require('./scoring');
+const { roomWorker } = require('./affinity');
+const { createAdapter } = require('@socket.io/cluster-adapter');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: { origin: '*' },
-  maxHttpBufferSize: 10e6, // 10MB for image uploads
+  maxHttpBufferSize: 1e5,  // 100KB - images go over HTTP, socket messages are small
   pingTimeout: 60000,      // 60s before considering disconnected
   pingInterval: 25000      // ping every 25s to keep alive
 });
@@ -24,6 +41,27 @@ const upload = multer({
   }
 });
 
+// Bundle imports are ZIPs, so they get their own limits
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 } // 50MB per bundle
+});
+
+// ==================== CLUSTER ====================
+
+// Set by cluster.js when this process is one of several workers. Each worker
+// owns the rooms whose ids hash to it (see affinity.js) and only ever gets
+// requests and sockets for those rooms.
+const WORKER_COUNT = parseInt(process.env.WORKER_COUNT) || 1;
+const WORKER_INDEX = parseInt(process.env.WORKER_INDEX) || 0;
+
+function ownsRoom(roomId) {
+  return roomWorker(roomId, WORKER_COUNT) === WORKER_INDEX;
+}
+
+// Room broadcasts reach sockets held by the other workers too
+if (cluster.isWorker) io.adapter(createAdapter());
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
@@ -31,90 +69,546 @@ app.use(express.json());
 // ==================== GAME STATE ====================
 const rooms = new Map();
 
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Persistent storage - set STORAGE=memory to keep rooms in memory only
+const store = createStore({
+  type: process.env.STORAGE || 'file',
+  dir: DATA_DIR
+});
+
+// Saved image decks always live on disk so they outlast rooms
+const decks = createDeckStore(path.join(DATA_DIR, 'decks'));
+
+// Signs host tokens and media keys; the same for every worker
+const secret = loadSecret(DATA_DIR);
+
+// Resized room images, named by a keyed hash of their content (see media.js)
+const media = createMediaStore(path.join(DATA_DIR, 'media'), secret);
+
+// Finished games' reports, kept after the room itself expires
+const reports = createReportStore(path.join(DATA_DIR, 'reports'));
+
+// Signs and checks host tokens (see auth.js)
+const hostAuth = createHostAuth(secret);
+
+function persistRoom(room) {
+  store.save(room);
+}
+
 function createRoom(hostId) {
-  const roomId = uuidv4().slice(0, 8);
+  // Pick an id this worker owns, so the room's traffic is routed back here
+  let roomId;
+  do {
+    roomId = uuidv4().slice(0, 8);
+  } while (!ownsRoom(roomId));
   rooms.set(roomId, {
     id: roomId,
-    hostId: hostId,
-    hostSocketId: null,
-    images: [],           // [{ data: base64, name: string, answer: string }]
-    players: new Map(),   // socketId -> { id, name, score, answers: [] }
+    hostId: hostId,       // the original host's key; their token is signed over it
+    cohosts: [],          // keys handed out with co-host invites
+    images: [],           // [{ hash (media store), answer, aliases: [], rejected: [], distractors: [], location?, mode?, country?, continent?, hints? }]
+    players: new Map(),   // socketId -> { id, name, team, score, answers: [] }
     disconnectedPlayers: new Map(), // sessionId -> player data (preserved for rejoin)
     settings: {
       roundTime: 30,      // seconds
-      totalRounds: 5
+      resultTime: 5,      // seconds on the result screen, 0 = host advances manually
+      totalRounds: 5,
+      language: 'auto',   // answer language - picks the stop-word list
+      mode: 'text',       // text | pin (drop a pin, images need a location) | choice (pick 1 of 4)
+      reveal: 'none',     // none | blur | zoom | tiles - image opens up progressively over the round
+      hints: cleanHintSchedule('classic'), // [{ type, at }] - see hints.js
+      hintCost: 0,        // points a player pays to unlock the next hint early, 0 = off
+      teams: [],          // team names; empty = everyone plays alone
+      teamScoring: 'sum', // sum | average | best (sum of the top teamBestN members)
+      teamBestN: 3,
+      scoring: 'classic', // scoring preset, see scoring.js
+      matchStrictness: 'lenient', // how forgiving text guesses are, see matcher.js
+      maxGuessesPerRound: 0, // text guesses a player gets per round, 0 = unlimited
+      latencyCompensation: false // take each player's measured round trip off their answer time
     },
     state: 'setup',       // setup | lobby | playing | roundResult | finished
     currentRound: 0,
     roundStartTime: null,
+    roundDuration: 0,         // ms; starts at settings.roundTime, the host can add time
+    pausedAt: null,           // set while the host has the round paused
     roundTimer: null,
+    roundTicker: null,
+    roundMode: 'text',        // mode the current round is played in
+    roundChoices: [],         // answer options for choice rounds
+    roundReveal: null,        // reveal plan for the current round (see reveal.js), null = no reveal
+    roundHints: [],           // hints for the current round, in schedule order
+    roundHintsUnlocked: new Map(), // sessionId -> hints visible ahead of schedule (a prefix of roundHints)
+    roundHintsBought: new Map(),   // sessionId -> hints paid for this round
+    roundHintsPaid: new Map(),     // sessionId -> points those hints cost (taken off the score when bought)
     roundAnswered: new Set(), // sessionIds who answered correctly this round
+    roundLockedOut: new Set(), // sessionIds who used their one pick on a wrong choice
+    roundGuessCounts: new Map(), // sessionId -> text guesses made this round (settings.maxGuessesPerRound)
+    roundPins: new Map(),     // sessionId -> { playerId, name, lat, lng, distanceKm, points } (pin rounds)
+    roundImageToken: null,    // secret part of the current round's image URL, new every round
+    guessLog: [],             // every guess: [{ id, round, sessionId, name, guess, at, time, matchQuality, similarity, correct, points, streakBefore, override? }]
     createdAt: Date.now()
   });
+  persistRoom(rooms.get(roomId));
   return roomId;
 }
 
-// Cleanup old rooms (older than 3 hours)
+// Cleanup old rooms (older than 3 hours) and expired disconnected players (10 minutes)
 setInterval(() => {
   const now = Date.now();
   for (const [id, room] of rooms) {
     if (now - room.createdAt > 3 * 60 * 60 * 1000) {
-      if (room.roundTimer) clearTimeout(room.roundTimer);
+      clearRoundTimers(room);
       rooms.delete(id);
+      revealRenders.delete(id);
+      store.remove(id);
+      continue;
+    }
+    for (const [sid, player] of room.disconnectedPlayers) {
+      if (now - player.disconnectedAt > 10 * 60 * 1000) {
+        room.disconnectedPlayers.delete(sid);
+        persistRoom(room);
+      }
     }
   }
 }, 60 * 1000);
 
+// Media files outlive their rooms by a day, in case the same pictures come back
+setInterval(() => media.prune(24 * 60 * 60 * 1000), 60 * 60 * 1000);
+
+// ==================== HOST AUTH ====================
+
+const MAX_COHOSTS = 5;
+
+// 'host', 'cohost' or null for a token presented for this room
+function hostRole(room, token) {
+  const claim = hostAuth.verify(token);
+  if (!claim || claim.roomId !== room.id) return null;
+  if (claim.key === room.hostId) return 'host';
+  if (room.cohosts.includes(claim.key)) return 'cohost';
+  return null;
+}
+
+// Guards a room's host-only routes; runs before any upload is parsed
+function hostGuard(roomIdOf) {
+  return (req, res, next) => {
+    const room = rooms.get(roomIdOf(req));
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    if (!hostRole(room, tokenFromRequest(req, room.id))) {
+      return res.status(401).json({ error: 'Host authentication required' });
+    }
+    req.room = room;
+    next();
+  };
+}
+const requireHost = hostGuard(req => req.params.roomId);
+
+function setHostCookie(req, res, roomId, token) {
+  res.append('Set-Cookie', hostCookie(roomId, token, { secure: req.secure }));
+}
+
+// Every host socket of a room (host and co-hosts) joins this channel for host-only events
+function hostChannel(roomId) {
+  return `${roomId}:hosts`;
+}
+
+// The socket joined this room as a host and the room still accepts its key
+function isRoomHost(socket, room) {
+  return Boolean(socket.isHost && socket.roomId === room.id && hostRole(room, socket.hostToken));
+}
+
+// ==================== TEST MODE ====================
+
+// Load-test bots (simulate_players.js) are told each round's answer so they
+// can play like people do. Off unless the server is started with TEST_MODE=1
+// and a TEST_TOKEN that the bots have to present when they join.
+const TEST_TOKEN = process.env.TEST_MODE === '1' ? process.env.TEST_TOKEN || '' : '';
+if (process.env.TEST_MODE === '1' && !TEST_TOKEN) console.warn('TEST_MODE=1 ignored: TEST_TOKEN is not set');
+if (TEST_TOKEN) console.warn('⚠️  Test mode is on - bots with the test token are sent the answers');
+
+function isTestBot(testToken) {
+  return Boolean(TEST_TOKEN) && safeEqual(testToken, TEST_TOKEN);
+}
+
+function testChannel(roomId) {
+  return `${roomId}:test-bots`;
+}
+
+// target: a bot's socket, or the room's test channel
+function emitTestAnswer(room, target) {
+  const image = room.images[room.currentRound - 1];
+  target.emit('test-answer', {
+    round: room.currentRound,
+    answer: image.answer,
+    aliases: image.aliases,
+    location: image.location || null
+  });
+}
+
+// ==================== RATE LIMITS ====================
+
+// Behind a reverse proxy (Render, nginx) every client shares the proxy's
+// address, so set TRUST_PROXY=1 there to limit on X-Forwarded-For instead.
+// cluster.js is one more proxy in front of its workers.
+const PROXY_HOPS = (process.env.TRUST_PROXY === '1' ? 1 : 0) + (cluster.isWorker ? 1 : 0);
+if (PROXY_HOPS) app.set('trust proxy', PROXY_HOPS);
+
+// Per-IP limits are loose enough for a classroom behind one NAT; the
+// per-socket ones are what stop a single flooding client
+const limits = {
+  connect: { ip: createRateLimiter({ limit: 120, windowMs: 60 * 1000 }) },
+  join: {
+    socket: createRateLimiter({ limit: 5, windowMs: 60 * 1000 }),
+    ip: createRateLimiter({ limit: 60, windowMs: 60 * 1000 })
+  },
+  guess: {
+    socket: createRateLimiter({ limit: 5, windowMs: 2000 }),
+    ip: createRateLimiter({ limit: 100, windowMs: 5000 })
+  },
+  createRoom: { ip: createRateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 }) }
+};
+
+// Longer guesses are cut off before matching - the matcher's edit distance
+// is quadratic in length, so one huge guess could stall the whole server
+const MAX_GUESS_LENGTH = 100;
+
+// Same rule as Express's req.ip: skip the trusted proxies from the right
+function socketIp(socket) {
+  const forwarded = (socket.handshake.headers['x-forwarded-for'] || '').split(',');
+  const chain = [...forwarded.map(address => address.trim()).filter(Boolean), socket.handshake.address];
+  return chain[Math.max(0, chain.length - 1 - PROXY_HOPS)];
+}
+
+// Counts the event against the socket and its IP; when either is over its
+// limit the client is told why and the event should be dropped
+function withinLimit(socket, limit, message) {
+  const socketOk = limit.socket.hit(socket.id);
+  const ipOk = limit.ip.hit(socketIp(socket));
+  if (socketOk && ipOk) return true;
+  socket.emit('error-msg', { message, rateLimited: true });
+  return false;
+}
+
+// Refuses new connections from an IP that is opening sockets in bulk
+io.use((socket, next) => {
+  if (limits.connect.ip.hit(socketIp(socket))) return next();
+  next(new Error('Too many connections - try again in a minute'));
+});
+
 // ==================== REST ENDPOINTS ====================
 
-// Create a new room
-app.post('/api/create-room', (req, res) => {
+// Create a new room, optionally pre-filled from a saved deck
+app.post('/api/create-room', async (req, res, next) => {
+  if (!limits.createRoom.ip.hit(req.ip)) {
+    return res.status(429).json({ error: 'Too many rooms created - try again in a few minutes' });
+  }
+
+  const { deckId } = req.body || {};
+  let images = [];
+  if (deckId) {
+    const deck = decks.get(deckId);
+    if (!deck) return res.status(404).json({ error: 'Deck not found' });
+    // The new room's host sees every answer, so only the deck's owner and
+    // the organizers they shared it with may start one
+    if (!requestDeckRole(req, deck)) return res.status(401).json({ error: 'Only the deck\'s owner and organizers it was shared with can use it' });
+    const deckImages = decks.loadRoomImages(deckId);
+    try {
+      images = await roomImages(deckImages);
+    } catch (err) {
+      return next(err);
+    }
+  }
+
   const hostId = uuidv4().slice(0, 12);
   const roomId = createRoom(hostId);
-  res.json({ roomId, hostId });
+  const room = rooms.get(roomId);
+  if (images.length > 0) {
+    room.images.push(...images);
+    persistRoom(room);
+  }
+
+  const hostToken = hostAuth.issue(roomId, hostId);
+  setHostCookie(req, res, roomId, hostToken);
+  res.json({ roomId, hostToken, imageCount: room.images.length });
 });
 
 // Upload images to a room
-app.post('/api/upload/:roomId', upload.array('images', 20), (req, res) => {
+app.post('/api/upload/:roomId', requireHost, upload.array('images', 20), async (req, res, next) => {
+  const { room } = req;
+
+  let meta;
+  try {
+    meta = parseUploadMeta(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    room.images.push(...await roomImages(req.files.map((file, i) => ({ ...uploadMetaAt(meta, i), buffer: file.buffer }))));
+  } catch (err) {
+    return next(err);
+  }
+
+  persistRoom(room);
+  // Just the count - the host already has the answers, and this must not echo them back
+  res.json({ count: room.images.length });
+});
+
+// Every image enters a room through here: [{ buffer or read(), ...labels }]
+// -> room images. The media store re-encodes each one, which drops its
+// metadata, and the original filename isn't kept - either could give the
+// answer away. One at a time, so a big upload doesn't decode every image at
+// once (and a bundle's images are inflated just before they're needed).
+async function roomImages(uploads) {
+  const images = [];
+  for (const { buffer, read, ...labels } of uploads) {
+    images.push({ hash: await media.put(read ? read() : buffer), ...cleanImageLabels(labels) });
+  }
+  return images;
+}
+
+// Edit an image's answer, aliases, location or other labels
+app.patch('/api/image/:roomId/:index', requireHost, (req, res) => {
+  const { room } = req;
+
+  const index = parseInt(req.params.index);
+  const image = room.images[index];
+  if (!image) return res.status(404).json({ error: 'Image not found' });
+
+  // Only the labels change - the stored picture stays as it is
+  const { hash, ...current } = image;
+  room.images[index] = { hash, ...cleanImageLabels({ ...current, ...req.body }) };
+  persistRoom(room);
+
+  res.json({ image: imageList(room)[index] });
+});
+
+// Per-file metadata sent as parallel JSON arrays alongside uploaded images:
+// form field -> image label
+const UPLOAD_META_FIELDS = {
+  answers: 'answer',
+  aliases: 'aliases',
+  rejected: 'rejected',
+  distractors: 'distractors',
+  locations: 'location',
+  modes: 'mode',
+  countries: 'country',
+  continents: 'continent',
+  hints: 'hints'
+};
+
+// Throws with a message for the host if a field isn't a JSON array
+function parseUploadMeta(body) {
+  const meta = {};
+  for (const field of Object.keys(UPLOAD_META_FIELDS)) {
+    try {
+      meta[field] = JSON.parse(body[field] || '[]');
+    } catch (err) {
+      meta[field] = null;
+    }
+    if (!Array.isArray(meta[field])) throw new Error(`Invalid ${field} - expected a JSON array`);
+  }
+  return meta;
+}
+
+function uploadMetaAt(meta, i) {
+  const raw = {};
+  for (const [field, label] of Object.entries(UPLOAD_META_FIELDS)) {
+    if (meta[field][i] !== undefined) raw[label] = meta[field][i];
+  }
+  return raw;
+}
+
+// Whitelists and cleans the per-image fields a host can set. Every way
+// an image enters a room or deck (upload, bundle, deck edit) goes through here.
+function cleanImageLabels(raw) {
+  const labels = {
+    answer: typeof raw.answer === 'string' && raw.answer.trim() ? raw.answer.trim() : 'Unknown',
+    aliases: cleanAliasList(raw.aliases),
+    rejected: cleanAliasList(raw.rejected),
+    distractors: cleanAliasList(raw.distractors)
+  };
+  const location = parseLocation(raw.location);
+  if (location) labels.location = location;
+  // Per-image override of the room's guess mode
+  if (ROUND_MODES.includes(raw.mode)) labels.mode = raw.mode;
+  // Used by country/continent hints
+  if (typeof raw.country === 'string' && raw.country.trim()) labels.country = raw.country.trim().slice(0, 60);
+  if (typeof raw.continent === 'string' && raw.continent.trim()) labels.continent = raw.continent.trim().slice(0, 60);
+  // Per-image hint schedule, replaces the room's for this image
+  const hints = Array.isArray(raw.hints) ? cleanHintSchedule(raw.hints) : null;
+  if (hints && hints.length > 0) labels.hints = hints;
+  return labels;
+}
+
+// Accepts an array or a comma-separated string; returns trimmed, de-duplicated names
+function cleanAliasList(list) {
+  if (typeof list === 'string') list = list.split(',');
+  if (!Array.isArray(list)) return [];
+  const cleaned = list.filter(a => typeof a === 'string').map(a => a.trim()).filter(Boolean);
+  return [...new Set(cleaned)].slice(0, 20);
+}
+
+function imageList(room) {
+  return room.images.map(({ hash, ...labels }, i) => ({ index: i, ...labels }));
+}
+
+// Update room settings
+app.post('/api/settings/:roomId', requireHost, (req, res) => {
+  const { room } = req;
+
+  applySettings(room, req.body);
+  persistRoom(room);
+
+  res.json({ settings: room.settings });
+});
+
+// Settings as players and spectators see them: custom text hints are
+// answer material, so they only go out as hints when due
+function publicSettings(room) {
+  return { ...room.settings, hints: room.settings.hints.map(({ text, ...entry }) => entry) };
+}
+
+function applySettings(room, { roundTime, resultTime, totalRounds, language, mode, reveal, hints, hintCost, teams, teamScoring, teamBestN, scoring, matchStrictness, maxGuessesPerRound, latencyCompensation }) {
+  if (parseInt(roundTime) > 0) room.settings.roundTime = parseInt(roundTime);
+  if (parseInt(resultTime) >= 0) room.settings.resultTime = parseInt(resultTime);
+  if (parseInt(totalRounds) > 0) room.settings.totalRounds = parseInt(totalRounds);
+  if (LANGUAGES.includes(language)) room.settings.language = language;
+  if (ROUND_MODES.includes(mode)) room.settings.mode = mode;
+  if (REVEAL_TYPES.includes(reveal)) room.settings.reveal = reveal;
+  const schedule = cleanHintSchedule(hints);
+  if (schedule) room.settings.hints = schedule;
+  if (parseInt(hintCost) >= 0) room.settings.hintCost = parseInt(hintCost);
+  if (TEAM_SCORING.includes(teamScoring)) room.settings.teamScoring = teamScoring;
+  if (parseInt(teamBestN) > 0) room.settings.teamBestN = parseInt(teamBestN);
+  if (SCORING_PRESETS.includes(scoring)) room.settings.scoring = scoring;
+  if (STRICTNESS_LEVELS.includes(matchStrictness)) room.settings.matchStrictness = matchStrictness;
+  if (parseInt(maxGuessesPerRound) >= 0) room.settings.maxGuessesPerRound = parseInt(maxGuessesPerRound);
+  if (latencyCompensation !== undefined) room.settings.latencyCompensation = latencyCompensation === true || latencyCompensation === 'on';
+
+  const teamNames = cleanTeamNames(teams);
+  if (teamNames) {
+    room.settings.teams = teamNames;
+    // Players on a team that no longer exists get rebalanced
+    for (const player of allPlayers(room)) {
+      if (!teamNames.includes(player.team)) player.team = null;
+    }
+    for (const player of allPlayers(room)) {
+      if (!player.team) player.team = pickTeam(teamNames, allPlayers(room));
+    }
+  }
+}
+
+// Export a room's images, answers and settings as a ZIP bundle
+app.get('/api/export/:roomId', requireHost, (req, res) => {
+  const { room } = req;
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="guess-the-place-${room.id}.zip"`
+  });
+  const images = room.images.map(({ hash, ...labels }) => ({ ...media.read(hash), ...labels }));
+  res.send(createBundle({ images, settings: room.settings }));
+});
+
+const REPORT_COOKIE_MAX_AGE = 90 * 24 * 60 * 60;
+
+// The host cookie expires with the room, but a finished game's report is
+// kept. Report tokens are host tokens signed over "report-<roomId>"; the
+// host's browser gets one as a long-lived cookie when it loads the report.
+function reportTokenId(roomId) {
+  return `report-${roomId}`;
+}
+
+// A token the server signed for this id (the key doesn't matter once the room is gone)
+function signedFor(token, id) {
+  const claim = hostAuth.verify(token);
+  return Boolean(claim && claim.roomId === id);
+}
+
+// Post-game report: per-image difficulty, per-player stats and wrong guesses.
+// JSON by default; ?format=csv&table=images|players|guesses|wrongGuesses for a spreadsheet.
+// Host only - it lists every answer. Once the room has expired only the
+// token's signature can be checked.
+app.get('/api/report/:roomId', (req, res) => {
   const { roomId } = req.params;
   const room = rooms.get(roomId);
-  if (!room) return res.status(404).json({ error: 'Room not found' });
+  const token = tokenFromRequest(req, roomId);
+  const isHost = room ? Boolean(hostRole(room, token)) : signedFor(token, roomId);
+  if (!isHost && !signedFor(tokenFromRequest(req, reportTokenId(roomId)), reportTokenId(roomId))) {
+    return res.status(401).json({ error: 'Host authentication required' });
+  }
 
-  const answers = JSON.parse(req.body.answers || '[]');
+  const report = room ? buildReport(room, allPlayers(room)) : reports.get(roomId);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
 
-  req.files.forEach((file, i) => {
-    const base64 = file.buffer.toString('base64');
-    const dataUrl = `data:${file.mimetype};base64,${base64}`;
-    room.images.push({
-      data: dataUrl,
-      name: file.originalname,
-      answer: answers[i] || 'Unknown'
+  if (room && isHost && room.state === 'finished') {
+    const reportToken = hostAuth.issue(reportTokenId(roomId), room.hostId);
+    res.append('Set-Cookie', hostCookie(reportTokenId(roomId), reportToken, { secure: req.secure, maxAge: REPORT_COOKIE_MAX_AGE }));
+  }
+
+  if (req.query.format === 'csv') {
+    const table = req.query.table || 'players';
+    const csv = reportToCsv(report, table);
+    if (!csv) return res.status(400).json({ error: 'Unknown report table' });
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="guess-the-place-${report.roomId}-${table}.csv"`
     });
-  });
+    return res.send(csv);
+  }
 
-  res.json({ count: room.images.length, images: room.images.map((img, i) => ({ index: i, name: img.name, answer: img.answer })) });
+  if (req.query.download) {
+    res.set('Content-Disposition', `attachment; filename="guess-the-place-${report.roomId}-report.json"`);
+  }
+  res.json(report);
 });
 
-// Update room settings
-app.post('/api/settings/:roomId', (req, res) => {
-  const room = rooms.get(req.params.roomId);
-  if (!room) return res.status(404).json({ error: 'Room not found' });
+// Finished games this browser holds a report cookie for, newest first
+app.get('/api/reports', (req, res) => {
+  const prefix = cookieName(reportTokenId(''));
+  const listed = [];
+  for (const [name, token] of Object.entries(parseCookies(req.headers.cookie))) {
+    const roomId = name.slice(prefix.length);
+    if (!name.startsWith(prefix) || !signedFor(token, reportTokenId(roomId))) continue;
+    const report = reports.get(roomId);
+    if (report) listed.push({ roomId, generatedAt: report.generatedAt, rounds: report.images.length, players: report.players.length });
+  }
+  res.json({ reports: listed.sort((a, b) => b.generatedAt - a.generatedAt) });
+});
 
-  const { roundTime, totalRounds } = req.body;
-  if (roundTime) room.settings.roundTime = parseInt(roundTime);
-  if (totalRounds) room.settings.totalRounds = parseInt(totalRounds);
+// Import a ZIP bundle into a room
+app.post('/api/import/:roomId', requireHost, bundleUpload.single('bundle'), async (req, res, next) => {
+  const { room } = req;
+  if (!req.file) return res.status(400).json({ error: 'No bundle uploaded' });
+
+  let bundle;
+  try {
+    bundle = readBundle(req.file.buffer);
+  } catch (err) {
+    if (err instanceof BundleError) return res.status(400).json({ error: err.message });
+    return next(err);
+  }
 
-  res.json({ settings: room.settings });
+  try {
+    room.images.push(...await roomImages(bundle.images));
+  } catch (err) {
+    if (err instanceof BundleError) return res.status(400).json({ error: err.message });
+    return next(err);
+  }
+  applySettings(room, bundle.settings);
+  persistRoom(room);
+
+  res.json({ count: room.images.length, settings: room.settings });
 });
 
 // Delete an image from room
-app.delete('/api/image/:roomId/:index', (req, res) => {
-  const room = rooms.get(req.params.roomId);
-  if (!room) return res.status(404).json({ error: 'Room not found' });
+app.delete('/api/image/:roomId/:index', requireHost, (req, res) => {
+  const { room } = req;
 
   const index = parseInt(req.params.index);
   if (index >= 0 && index < room.images.length) {
     room.images.splice(index, 1);
+    persistRoom(room);
   }
   res.json({ count: room.images.length });
 });
@@ -128,47 +622,352 @@ app.get('/api/room/:roomId', (req, res) => {
     id: room.id,
     state: room.state,
     playerCount: room.players.size,
-    settings: room.settings,
+    settings: publicSettings(room),
     imageCount: room.images.length
   });
 });
 
+// ==================== DECKS ====================
+
+// Decks outlive rooms, so their owner cookie does too
+const DECK_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+const MAX_DECK_SHARES = 20;
+
+// Deck tokens are host tokens signed over "deck-<deckId>" and the deck's
+// ownerKey (or one of its shareKeys), so they can never pass for a room's
+function deckTokenId(deckId) {
+  return `deck-${deckId}`;
+}
+
+// 'owner', 'shared' (an organizer the owner sent a share invite: they can
+// start rooms from the deck but not see or change it), or null
+function deckRole(deck, token) {
+  const claim = hostAuth.verify(token);
+  if (!claim || claim.roomId !== deckTokenId(deck.id)) return null;
+  if (safeEqual(claim.key, deck.ownerKey)) return 'owner';
+  if ((deck.shareKeys || []).some(key => safeEqual(claim.key, key))) return 'shared';
+  return null;
+}
+
+function requestDeckRole(req, deck) {
+  return deckRole(deck, tokenFromRequest(req, deckTokenId(deck.id)));
+}
+
+// Guards a deck's owner-only routes; runs before any upload is parsed
+function requireDeckOwner(req, res, next) {
+  const deck = decks.get(req.params.deckId);
+  if (!deck) return res.status(404).json({ error: 'Deck not found' });
+  if (requestDeckRole(req, deck) !== 'owner') return res.status(401).json({ error: 'Only the deck\'s owner can do that' });
+  req.deck = deck;
+  next();
+}
+
+function deckSummary(deck) {
+  return {
+    id: deck.id,
+    name: deck.name,
+    updatedAt: deck.updatedAt,
+    // name: original filename, kept by decks saved before it was dropped
+    images: deck.images.map(({ file, mimetype, name, ...labels }, i) => ({
+      index: i,
+      ...labels,
+      url: `/api/decks/${deck.id}/images/${file}`
+    }))
+  };
+}
+
+function parseDeckName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, 60) : '';
+}
+
+// List the decks this browser (or bearer token) owns or was shared
+app.get('/api/decks', (req, res) => {
+  const listed = [];
+  for (const summary of decks.list()) {
+    const role = requestDeckRole(req, decks.get(summary.id));
+    if (role) listed.push({ ...summary, shared: role === 'shared' });
+  }
+  res.json({ decks: listed });
+});
+
+// Get one deck with its images and answers
+app.get('/api/decks/:deckId', requireDeckOwner, (req, res) => {
+  res.json(deckSummary(req.deck));
+});
+
+// Serve a deck image
+app.get('/api/decks/:deckId/images/:file', requireDeckOwner, (req, res) => {
+  const filePath = decks.imagePath(req.params.deckId, req.params.file);
+  if (!filePath) return res.status(404).json({ error: 'Image not found' });
+  res.sendFile(filePath);
+});
+
+// Create a deck from uploaded images and answers. Only the host of a room
+// (?roomId=) can save one; they get the deck's owner token back.
+app.post('/api/decks', hostGuard(req => req.query.roomId), upload.array('images', 50), async (req, res, next) => {
+  const name = parseDeckName(req.body.name);
+  if (!name) return res.status(400).json({ error: 'Deck name is required' });
+  if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'A deck needs at least one image' });
+
+  let meta;
+  try {
+    meta = parseUploadMeta(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  let deck;
+  try {
+    deck = await decks.create({
+      name,
+      ownerKey: uuidv4().slice(0, 12),
+      images: req.files.map((file, i) => ({
+        buffer: file.buffer,
+        mimetype: file.mimetype,
+        ...cleanImageLabels(uploadMetaAt(meta, i))
+      }))
+    });
+  } catch (err) {
+    return next(err);
+  }
+
+  const deckToken = hostAuth.issue(deckTokenId(deck.id), deck.ownerKey);
+  res.append('Set-Cookie', hostCookie(deckTokenId(deck.id), deckToken, { secure: req.secure, maxAge: DECK_COOKIE_MAX_AGE }));
+  res.json({ ...deckSummary(deck), deckToken });
+});
+
+// Rename a deck, relabel its images, or replace them
+app.put('/api/decks/:deckId', requireDeckOwner, upload.array('images', 50), async (req, res, next) => {
+  let meta;
+  try {
+    meta = parseUploadMeta(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  let deck;
+  try {
+    deck = await decks.update(req.params.deckId, {
+      name: parseDeckName(req.body.name),
+      labels: req.body.answers ? meta.answers.map((_, i) => cleanImageLabels(uploadMetaAt(meta, i))) : null,
+      images: (req.files || []).map((file, i) => ({
+        buffer: file.buffer,
+        mimetype: file.mimetype,
+        ...cleanImageLabels(uploadMetaAt(meta, i))
+      }))
+    });
+  } catch (err) {
+    return next(err);
+  }
+  if (!deck) return res.status(404).json({ error: 'Deck not found' });
+  res.json(deckSummary(deck));
+});
+
+// Delete a deck
+app.delete('/api/decks/:deckId', requireDeckOwner, (req, res) => {
+  if (!decks.remove(req.params.deckId)) return res.status(404).json({ error: 'Deck not found' });
+  res.json({ deleted: true });
+});
+
+// Owner hands out a link that lets another organizer start rooms from the
+// deck (the team running the same set every week) without being able to
+// change or delete it
+app.post('/api/decks/:deckId/invites', requireDeckOwner, (req, res) => {
+  const key = uuidv4().slice(0, 12);
+  if (!decks.addShareKey(req.deck.id, key, MAX_DECK_SHARES)) {
+    return res.status(400).json({ error: `A deck can be shared at most ${MAX_DECK_SHARES} times` });
+  }
+  const token = hostAuth.issue(deckTokenId(req.deck.id), key);
+  res.json({ link: `/deck/${req.deck.id}?token=${encodeURIComponent(token)}` });
+});
+
+// Deck share invite: swaps the link's token for a deck cookie, then opens
+// the host page with the deck in its list. An owner opening their own
+// link keeps their owner cookie.
+app.get('/deck/:deckId', (req, res) => {
+  const deck = decks.get(req.params.deckId);
+  if (!deck || deckRole(deck, req.query.token) !== 'shared') {
+    return res.status(403).json({ error: 'This deck link is not valid' });
+  }
+  if (!requestDeckRole(req, deck)) {
+    res.append('Set-Cookie', hostCookie(deckTokenId(deck.id), req.query.token, { secure: req.secure, maxAge: DECK_COOKIE_MAX_AGE }));
+  }
+  res.redirect('/host.html');
+});
+
+// Offline world outline and its decoder for map-pin rounds (no tile service)
+app.get('/vendor/world-110m.json', (req, res) => {
+  res.sendFile(require.resolve('world-atlas/countries-110m.json'), { maxAge: '7d' });
+});
+app.get('/vendor/topojson-client.min.js', (req, res) => {
+  res.sendFile(require.resolve('topojson-client/dist/topojson-client.min.js'), { maxAge: '7d' });
+});
+
 // Serve game page for room links
 app.get('/play/:roomId', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'game.html'));
 });
 
+// Co-host invite: swaps the link's token for a host cookie, then opens the
+// host view without any credentials left in the address bar
+app.get('/cohost/:roomId', (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room || hostRole(room, req.query.token) !== 'cohost') {
+    return res.status(403).json({ error: 'This co-host link is not valid' });
+  }
+  setHostCookie(req, res, room.id, req.query.token);
+  res.redirect(`/play/${room.id}?host=1`);
+});
+
+// The current round's picture, in one of the media store's sizes. Players
+// get this URL instead of the stored file's name; the token changes every
+// round and is cleared when the game ends, so a URL only works while its
+// round (and result screen) is on.
+app.get('/api/round-image/:roomId/:token/:size', (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  const valid = room && room.roundImageToken && safeEqual(req.params.token, room.roundImageToken);
+  const file = valid ? media.path(room.images[room.currentRound - 1].hash, req.params.size) : null;
+  if (!file) return res.status(404).json({ error: 'Image not found' });
+  res.set('Cache-Control', 'private, max-age=600');
+  res.sendFile(file, { cacheControl: false });
+});
+
+// A reveal step of the round in play. Steps the round hasn't reached yet
+// don't exist as far as players are concerned.
+app.get('/api/reveal/:roomId/:planId/:step', async (req, res, next) => {
+  const room = rooms.get(req.params.roomId);
+  const plan = room && room.state === 'playing' ? room.roundReveal : null;
+  const step = parseInt(req.params.step);
+  if (!plan || plan.id !== req.params.planId || !(step >= 0 && step < plan.steps)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  const reached = revealStep(plan, roundElapsed(room), room.roundDuration);
+  const rendered = revealRenders.get(room.id);
+  if (step > reached && !(rendered && rendered.planId === plan.id && rendered.steps.has(step))) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  try {
+    const buffer = await renderRevealStep(room, step);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('image/webp').send(buffer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Big-screen view for a TV or projector; joins as a spectator
+app.get('/present/:roomId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'present.html'));
+});
+
+// Upload and other route errors come back as JSON instead of an HTML page
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError || err instanceof MediaError) return res.status(400).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: err.message || 'Server error' });
+});
+
+// ==================== CLOCK SYNC ====================
+
+// Every socket gets a few quick probes when it connects, then one every 15s.
+// The ack times the round trip, for latency compensation - a number the
+// client can't fake by lying. Clients line their clocks up with ours the
+// other way round: they time their own clock-sync exchanges
+// (public/clock.js) and run their countdowns on server time.
+const CLOCK_PROBE_INTERVAL = 15 * 1000;
+const CLOCK_SAMPLES = 5;
+const MAX_LATENCY_COMPENSATION = 500; // ms - caps what a slow (or deliberately slowed) connection can claim
+
+function probeClock(socket) {
+  const sent = Date.now();
+  socket.timeout(5000).emit('clock-probe', (err) => {
+    if (err) return;
+    socket.rttSamples = [...(socket.rttSamples || []), Date.now() - sent].slice(-CLOCK_SAMPLES);
+  });
+}
+
+// Shortest recent round trip in ms - queueing only ever adds delay. null until measured.
+function socketRtt(socket) {
+  return socket.rttSamples && socket.rttSamples.length > 0 ? Math.min(...socket.rttSamples) : null;
+}
+
+function startClockProbes(socket) {
+  for (const delay of [0, 500, 1000]) setTimeout(() => probeClock(socket), delay);
+  const interval = setInterval(() => probeClock(socket), CLOCK_PROBE_INTERVAL);
+  socket.on('disconnect', () => clearInterval(interval));
+
+  // Answered straight away: the client reads our clock as of halfway
+  // through the round trip it timed
+  socket.on('clock-sync', (ack) => {
+    if (typeof ack === 'function') ack({ serverTime: Date.now() });
+  });
+}
+
+// When, in round time, the player answered. With latencyCompensation on,
+// their round trip is taken off: the image reached them late by one leg
+// and their answer spent the other on the way back.
+function answerTime(room, socket) {
+  const elapsed = roundElapsed(room);
+  if (!room.settings.latencyCompensation) return elapsed;
+  return Math.max(0, elapsed - Math.min(socketRtt(socket) || 0, MAX_LATENCY_COMPENSATION));
+}
+
+// Countdown fields for round-start and timer-sync. endsAt is in server time
+// (null while paused); serverTime lets a client that hasn't been probed yet
+// still line its clock up with ours.
+function roundClock(room) {
+  return {
+    timeRemaining: Math.max(0, room.roundDuration - roundElapsed(room)),
+    totalTime: room.roundDuration,
+    endsAt: room.pausedAt ? null : room.roundStartTime + room.roundDuration,
+    serverTime: Date.now(),
+    paused: Boolean(room.pausedAt)
+  };
+}
+
 // ==================== SOCKET.IO EVENTS ====================
 
 io.on('connection', (socket) => {
   console.log(`Connected: ${socket.id}`);
+  startClockProbes(socket);
 
-  // Host joins their room
-  socket.on('host-join', ({ roomId, hostId }) => {
+  // Host (or co-host) joins their room. Browsers authenticate with the host
+  // cookie sent on the socket handshake, other clients pass the token.
+  socket.on('host-join', ({ roomId, token }) => {
     const room = rooms.get(roomId);
-    if (!room || room.hostId !== hostId) {
-      socket.emit('error-msg', { message: 'Invalid room or host ID' });
+    const hostToken = token || parseCookies(socket.handshake.headers.cookie)[cookieName(roomId)];
+    const role = room && hostRole(room, hostToken);
+    if (!role) {
+      socket.emit('error-msg', { message: 'Host authentication required' });
       return;
     }
-    room.hostSocketId = socket.id;
     socket.join(roomId);
+    socket.join(hostChannel(roomId));
     socket.roomId = roomId;
     socket.isHost = true;
-    room.state = 'lobby';
+    socket.hostToken = hostToken;
+    // Only the first host-join opens the lobby; a rejoining host must not reset a running game
+    if (room.state === 'setup') room.state = 'lobby';
+    persistRoom(room);
 
     socket.emit('room-joined', {
       roomId,
       isHost: true,
+      hostRole: role,
+      state: room.state,
       settings: room.settings,
       imageCount: room.images.length,
-      players: getPlayerList(room)
+      players: getPlayerList(room),
+      teams: getTeamStandings(room)
     });
 
+    if (room.state === 'playing') emitCurrentRound(socket, room);
+
     console.log(`Host joined room ${roomId}`);
   });
 
   // Player joins a room
-  socket.on('player-join', ({ roomId, playerName, sessionId }) => {
+  socket.on('player-join', ({ roomId, playerName, sessionId, team, testToken }) => {
+    if (!withinLimit(socket, limits.join, 'Too many join attempts - wait a minute and try again')) return;
     const room = rooms.get(roomId);
     if (!room) {
       socket.emit('error-msg', { message: 'Room not found' });
@@ -193,7 +992,9 @@ io.on('connection', (socket) => {
       player = room.disconnectedPlayers.get(sessionId);
       player.id = socket.id;
       player.sessionId = sessionId;
+      delete player.disconnectedAt;
       room.disconnectedPlayers.delete(sessionId);
+      player.team = pickTeam(room.settings.teams, allPlayers(room), player.team);
       isReconnect = true;
       console.log(`Player "${player.name}" reconnected to room ${roomId} with ${player.score} points`);
     } else {
@@ -202,6 +1003,7 @@ io.on('connection', (socket) => {
         id: socket.id,
         sessionId: sessionId || uuidv4().slice(0, 12),
         name: playerName.trim().slice(0, 20),
+        team: pickTeam(room.settings.teams, allPlayers(room), team),
         score: 0,
         answers: [],
         streak: 0
@@ -213,14 +1015,21 @@ io.on('connection', (socket) => {
     socket.roomId = roomId;
     socket.isHost = false;
     socket.sessionId = player.sessionId;
+    if (isTestBot(testToken)) {
+      socket.isTestBot = true;
+      socket.join(testChannel(roomId));
+    }
+    persistRoom(room);
 
     socket.emit('room-joined', {
       roomId,
       isHost: false,
       playerName: player.name,
+      team: player.team,
       state: room.state,
-      settings: room.settings,
+      settings: publicSettings(room),
       players: getPlayerList(room),
+      teams: getTeamStandings(room),
       sessionId: player.sessionId,
       reconnected: isReconnect,
       restoredScore: isReconnect ? player.score : 0
@@ -229,30 +1038,74 @@ io.on('connection', (socket) => {
     // Notify everyone
     io.to(roomId).emit('player-update', {
       players: getPlayerList(room),
+      teams: getTeamStandings(room),
       message: isReconnect ? `${player.name} reconnected!` : `${player.name} joined the game!`
     });
 
     // If game is in progress, send current round info
-    if (room.state === 'playing') {
-      const elapsed = Date.now() - room.roundStartTime;
-      const remaining = Math.max(0, room.settings.roundTime * 1000 - elapsed);
-      socket.emit('round-start', {
-        round: room.currentRound,
-        totalRounds: room.settings.totalRounds,
-        image: room.images[room.currentRound - 1].data,
-        timeRemaining: remaining,
-        totalTime: room.settings.roundTime * 1000,
-        hint: getHint(room.images[room.currentRound - 1].answer, elapsed, room.settings.roundTime * 1000)
-      });
-    }
+    if (room.state === 'playing') emitCurrentRound(socket, room);
 
     console.log(`Player "${player.name}" joined room ${roomId}`);
   });
 
+  // Read-only viewer (presenter screen): gets the room's broadcasts but is
+  // not a player, so it never shows up in room.players or totalPlayers
+  socket.on('spectator-join', ({ roomId }) => {
+    if (!withinLimit(socket, limits.join, 'Too many join attempts - wait a minute and try again')) return;
+    const room = rooms.get(roomId);
+    if (!room || room.state === 'setup') {
+      socket.emit('error-msg', { message: 'Room not found' });
+      return;
+    }
+
+    socket.join(roomId);
+    socket.roomId = roomId;
+    socket.isHost = false;
+    socket.isSpectator = true;
+
+    socket.emit('room-joined', {
+      roomId,
+      isHost: false,
+      isSpectator: true,
+      state: room.state,
+      settings: publicSettings(room),
+      players: getPlayerList(room),
+      teams: getTeamStandings(room)
+    });
+
+    if (room.state === 'playing') emitCurrentRound(socket, room);
+  });
+
+  // Player switches team in the lobby
+  socket.on('choose-team', ({ roomId, team }) => {
+    const room = rooms.get(roomId);
+    if (!room || room.state !== 'lobby') return;
+
+    const player = room.players.get(socket.id);
+    if (!player || !room.settings.teams.includes(team)) return;
+
+    player.team = team;
+    persistRoom(room);
+    emitTeamUpdate(room, `${player.name} joined ${team}`);
+  });
+
+  // Host moves a player to another team in the lobby
+  socket.on('assign-team', ({ roomId, playerId, team }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || room.state !== 'lobby') return;
+
+    const player = room.players.get(playerId);
+    if (!player || !room.settings.teams.includes(team)) return;
+
+    player.team = team;
+    persistRoom(room);
+    emitTeamUpdate(room, `${player.name} was moved to ${team}`);
+  });
+
   // Host starts the game
   socket.on('start-game', ({ roomId }) => {
     const room = rooms.get(roomId);
-    if (!room || !socket.isHost) return;
+    if (!room || !isRoomHost(socket, room)) return;
 
     if (room.images.length === 0) {
       socket.emit('error-msg', { message: 'No images uploaded! Add some images first.' });
@@ -270,6 +1123,7 @@ io.on('connection', (socket) => {
       player.answers = [];
       player.streak = 0;
     }
+    persistRoom(room);
 
     io.to(roomId).emit('game-started', {
       totalRounds: room.settings.totalRounds,
@@ -278,13 +1132,124 @@ io.on('connection', (socket) => {
     });
 
     // Start first round after a short delay
-    setTimeout(() => startRound(room), 2000);
+    room.roundTimer = setTimeout(() => startRound(room), 2000);
+  });
+
+  // Host live controls: pause/resume, add time, skip the image, end the round or game
+  socket.on('pause-round', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || !isRoundRunning(room) || room.pausedAt) return;
+
+    clearRoundTimers(room);
+    room.pausedAt = Date.now();
+    persistRoom(room);
+    emitTimerSync(room);
+  });
+
+  socket.on('resume-round', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || !isRoundRunning(room) || !room.pausedAt) return;
+
+    // Shift the start so elapsed time (and with it hints and reveal) picks up where it froze
+    room.roundStartTime += Date.now() - room.pausedAt;
+    room.pausedAt = null;
+    scheduleRoundTimers(room);
+    persistRoom(room);
+    emitTimerSync(room);
+  });
+
+  socket.on('add-time', ({ roomId, seconds }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || !isRoundRunning(room)) return;
+
+    room.roundDuration += Math.min(300, Math.max(1, parseInt(seconds) || 15)) * 1000;
+    if (!room.pausedAt) {
+      clearRoundTimers(room);
+      scheduleRoundTimers(room);
+    }
+    persistRoom(room);
+    emitTimerSync(room);
+  });
+
+  socket.on('skip-round', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || !isRoundRunning(room)) return;
+
+    skipRound(room);
+  });
+
+  socket.on('end-round', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || !isRoundRunning(room)) return;
+
+    clearRoundTimers(room);
+    room.pausedAt = null;
+    endRound(room);
+  });
+
+  // Leaves the result screen now (the only way on when resultTime is 0)
+  socket.on('next-round', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || room.state !== 'roundResult') return;
+
+    clearRoundTimers(room);
+    startRound(room);
+  });
+
+  // Host hands out a link that makes a second organizer a co-host, able to
+  // run the game alongside them or take over if they drop
+  socket.on('create-cohost-invite', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room)) return;
+    if (room.cohosts.length >= MAX_COHOSTS) {
+      socket.emit('error-msg', { message: `A room can have at most ${MAX_COHOSTS} co-hosts` });
+      return;
+    }
+
+    const key = uuidv4().slice(0, 12);
+    room.cohosts.push(key);
+    persistRoom(room);
+    socket.emit('cohost-invite', { link: `/cohost/${roomId}?token=${encodeURIComponent(hostAuth.issue(roomId, key))}` });
+  });
+
+  // Host accepts or rejects a guess from the live feed (current round, during or after it)
+  socket.on('override-guess', ({ roomId, guessId, accept }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || !['playing', 'roundResult'].includes(room.state)) return;
+
+    const entry = room.guessLog.find(g => g.id === guessId && g.round === room.currentRound);
+    if (!entry || (accept ? entry.matchQuality === 1.0 : !entry.correct)) return;
+    const player = allPlayers(room).find(p => p.sessionId === entry.sessionId);
+    if (!player) return;
+
+    overrideGuess(room, player, entry, Boolean(accept));
+
+    socket.emit('guess-feed', feedEntry(entry));
+    if (room.players.has(player.id)) {
+      io.to(player.id).emit('answer-overridden', {
+        accepted: Boolean(accept),
+        guess: entry.guess,
+        points: entry.points,
+        totalScore: player.score,
+        canRetry: !accept && room.state === 'playing' && room.roundMode !== 'choice' && !outOfGuesses(room, player.sessionId)
+      });
+    }
+    emitLeaderboard(room);
+  });
+
+  socket.on('end-game', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !isRoomHost(socket, room) || !['playing', 'roundResult'].includes(room.state)) return;
+
+    endGame(room);
   });
 
   // Player submits a guess
-  socket.on('submit-guess', ({ roomId, guess }) => {
+  // (choice rounds send the index of the picked option instead of text)
+  socket.on('submit-guess', ({ roomId, guess, choice }) => {
+    if (!withinLimit(socket, limits.guess, 'Slow down! Too many guesses - wait a moment')) return;
     const room = rooms.get(roomId);
-    if (!room || room.state !== 'playing') return;
+    if (!room || room.state !== 'playing' || room.pausedAt) return;
 
     const player = room.players.get(socket.id);
     if (!player) return;
@@ -297,66 +1262,109 @@ io.on('connection', (socket) => {
     }
 
     const currentImage = room.images[room.currentRound - 1];
-    const matchQuality = checkAnswer(guess, currentImage.answer); // 0 to 1.0
-    const elapsed = Date.now() - room.roundStartTime;
-    const totalTime = room.settings.roundTime * 1000;
+    const streakBefore = player.streak;
+    if (room.roundMode === 'choice') {
+      // One pick per round - a wrong pick locks the player out
+      if (room.roundLockedOut.has(playerSessionId)) return;
+      const picked = room.roundChoices[choice];
+      if (picked === undefined) return;
+      if (picked === currentImage.answer) {
+        const points = awardAnswer(socket, room, player, 1.0, { choice });
+        recordGuess(room, player, picked, { matchQuality: 1.0, points, streakBefore });
+      } else {
+        room.roundLockedOut.add(playerSessionId);
+        const points = penalizeWrongGuess(room, player);
+        recordGuess(room, player, picked, { matchQuality: 0, points, streakBefore });
+        socket.emit('guess-result', { correct: false, guess: picked, choice, locked: true, points, totalScore: player.score });
+      }
+      return;
+    }
+    if (room.roundMode !== 'text') return;
+    if (typeof guess !== 'string' || !guess.trim()) return;
+    guess = guess.slice(0, MAX_GUESS_LENGTH);
+
+    // The host's cap on guesses per round (0 = unlimited) stops brute-forcing partial credit
+    const cap = room.settings.maxGuessesPerRound;
+    if (outOfGuesses(room, playerSessionId)) {
+      socket.emit('error-msg', { message: `You've used all ${cap} guesses this round` });
+      return;
+    }
+    const used = (room.roundGuessCounts.get(playerSessionId) || 0) + 1;
+    room.roundGuessCounts.set(playerSessionId, used);
+
+    const matchQuality = matchAnswer(guess, currentImage, room.settings.language, room.settings.matchStrictness); // 0 to 1.0
+    const similarity = answerSimilarity(guess, currentImage);
 
     if (matchQuality > 0) {
-      // Time-based scoring: faster = more points
-      const timeRatio = elapsed / totalTime;
-      let basePoints = Math.round(1000 - (timeRatio * 900));
-      basePoints = Math.max(100, Math.min(1000, basePoints));
-
-      // Apply match quality multiplier
-      let points = Math.round(basePoints * matchQuality);
-
-      // Determine match type for UI feedback
-      let matchType = 'exact';     // 1.0
-      if (matchQuality < 1.0 && matchQuality >= 0.7) matchType = 'close';
-      else if (matchQuality < 0.7) matchType = 'partial';
-
-      // Streak bonus (only for close+ matches)
-      if (matchQuality >= 0.7) {
-        player.streak++;
-        if (player.streak >= 3) {
-          points += 200;
-        } else if (player.streak >= 2) {
-          points += 100;
-        }
-      }
+      const points = awardAnswer(socket, room, player, matchQuality);
+      recordGuess(room, player, guess, { matchQuality, similarity, points, streakBefore });
+    } else {
+      const points = penalizeWrongGuess(room, player);
+      recordGuess(room, player, guess, { matchQuality: 0, similarity, points, streakBefore });
+      socket.emit('guess-result', { correct: false, guess, guessesLeft: cap ? cap - used : null, points, totalScore: player.score });
+    }
+  });
 
-      // Position bonus (first correct gets extra, only for close+ matches)
-      const position = room.roundAnswered.size + 1;
-      if (matchQuality >= 0.7) {
-        if (position === 1) points += 300;
-        else if (position === 2) points += 150;
-        else if (position === 3) points += 50;
-      }
+  // Player drops their pin (map-pin rounds) - one pin per round, scored by distance
+  socket.on('submit-pin', ({ roomId, lat, lng }) => {
+    if (!withinLimit(socket, limits.guess, 'Slow down! Too many guesses - wait a moment')) return;
+    const room = rooms.get(roomId);
+    if (!room || room.state !== 'playing' || room.pausedAt) return;
 
-      player.score += points;
-      player.answers.push({ round: room.currentRound, correct: true, points, time: elapsed, matchQuality });
-      room.roundAnswered.add(playerSessionId);
+    const player = room.players.get(socket.id);
+    if (!player) return;
 
-      socket.emit('guess-result', {
-        correct: true,
-        points,
-        totalScore: player.score,
-        position,
-        streak: player.streak,
-        timeTaken: elapsed,
-        matchType,
-        matchQuality: Math.round(matchQuality * 100)
-      });
+    const playerSessionId = player.sessionId || socket.sessionId;
+    if (room.roundAnswered.has(playerSessionId)) {
+      socket.emit('guess-result', { correct: true, alreadyAnswered: true });
+      return;
+    }
 
-      // Update leaderboard for everyone
-      io.to(roomId).emit('leaderboard-update', {
-        players: getPlayerList(room),
-        answeredCount: room.roundAnswered.size,
-        totalPlayers: room.players.size
-      });
-    } else {
-      socket.emit('guess-result', { correct: false, guess });
+    const currentImage = room.images[room.currentRound - 1];
+    if (room.roundMode !== 'pin') return;
+
+    const pin = parseLocation({ lat, lng });
+    if (!pin) {
+      socket.emit('error-msg', { message: 'Invalid pin location' });
+      return;
     }
+
+    const km = Math.round(distanceKm(pin, currentImage.location));
+    const streakBefore = player.streak;
+    const points = awardAnswer(socket, room, player, distanceQuality(km), { mode: 'pin', distanceKm: km });
+    room.roundPins.set(playerSessionId, { playerId: player.id, name: player.name, ...pin, distanceKm: km, points });
+    recordGuess(room, player, `${pin.lat}, ${pin.lng}`, { matchQuality: distanceQuality(km), points, streakBefore, distanceKm: km });
+  });
+
+  // Player unlocks the next hint early - the cost comes off their points for the round
+  socket.on('request-hint', ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || room.state !== 'playing' || room.pausedAt || !room.settings.hintCost) return;
+
+    const player = room.players.get(socket.id);
+    if (!player) return;
+
+    const playerSessionId = player.sessionId || socket.sessionId;
+    if (room.roundAnswered.has(playerSessionId)) return;
+
+    const elapsed = roundElapsed(room);
+    const visible = visibleHints(room.roundHints, elapsed, room.roundHintsUnlocked.get(playerSessionId));
+    const next = room.roundHints[visible.length];
+    if (!next) {
+      socket.emit('error-msg', { message: 'No more hints this round' });
+      return;
+    }
+
+    // Paid for now, whether or not the player goes on to answer. Hints
+    // that were already free don't count towards the bill.
+    const cost = room.settings.hintCost;
+    player.score -= cost;
+    room.roundHintsUnlocked.set(playerSessionId, visible.length + 1);
+    room.roundHintsBought.set(playerSessionId, (room.roundHintsBought.get(playerSessionId) || 0) + 1);
+    room.roundHintsPaid.set(playerSessionId, (room.roundHintsPaid.get(playerSessionId) || 0) + cost);
+    persistRoom(room);
+    socket.emit('hint', { ...next, cost });
+    emitLeaderboard(room);
   });
 
   // Disconnect handling
@@ -365,23 +1373,27 @@ io.on('connection', (socket) => {
     const room = rooms.get(socket.roomId);
     if (!room) return;
 
-    if (socket.isHost) {
-      // Host left - notify players but keep room alive for a while
-      io.to(socket.roomId).emit('host-disconnected');
+    if (socket.isSpectator) {
+      // Nothing to clean up - spectators are not part of the game
+    } else if (socket.isHost) {
+      // Last host left - notify players but keep room alive for a while
+      if (!io.sockets.adapter.rooms.get(hostChannel(socket.roomId))) {
+        io.to(socket.roomId).emit('host-disconnected');
+      }
     } else {
       const player = room.players.get(socket.id);
       room.players.delete(socket.id);
       if (player) {
-        // Preserve player data for rejoin (keep for 10 minutes)
+        // Preserve player data for rejoin (pruned after 10 minutes by the cleanup loop)
         const sid = player.sessionId || socket.sessionId;
         if (sid) {
+          player.disconnectedAt = Date.now();
           room.disconnectedPlayers.set(sid, player);
-          setTimeout(() => {
-            room.disconnectedPlayers.delete(sid);
-          }, 10 * 60 * 1000);
         }
+        persistRoom(room);
         io.to(socket.roomId).emit('player-update', {
           players: getPlayerList(room),
+          teams: getTeamStandings(room),
           message: `${player.name} disconnected (can rejoin)`
         });
       }
@@ -393,6 +1405,173 @@ io.on('connection', (socket) => {
 
 // ==================== GAME LOGIC ====================
 
+const ROUND_MODES = ['text', 'pin', 'choice'];
+const CHOICE_COUNT = 4;
+
+// The image's own mode wins over the room's. Pin rounds need a location and
+// choice rounds at least one wrong option; otherwise the round falls back to typing.
+function getRoundMode(room, image, choices) {
+  const mode = image.mode || room.settings.mode;
+  if (mode === 'pin' && image.location) return 'pin';
+  if (mode === 'choice' && choices.length > 1) return 'choice';
+  return 'text';
+}
+
+// The correct answer plus up to three distractors - the host's own first,
+// then answers of other images in the room - in random order
+function buildChoices(room, image) {
+  const taken = new Set([image.answer, ...(image.aliases || [])].map(normalizeAnswer));
+  const pick = (candidates) => {
+    const picked = [];
+    for (const candidate of candidates) {
+      const key = normalizeAnswer(candidate);
+      if (!key || taken.has(key)) continue;
+      taken.add(key);
+      picked.push(candidate);
+    }
+    return picked;
+  };
+
+  const hostDistractors = pick(shuffle(image.distractors || []));
+  const deckDistractors = pick(shuffle(room.images.filter(img => img !== image).map(img => img.answer)));
+  const distractors = [...hostDistractors, ...deckDistractors].slice(0, CHOICE_COUNT - 1);
+  return shuffle([image.answer, ...distractors]);
+}
+
+function shuffle(items) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Points for one answer of the given quality (0 to 1.0), given when it came
+// in and the player's streak before it, under the room's scoring preset
+// (see scoring.js). Pure, so a host override can re-score a logged guess
+// after the fact.
+function scoreAnswer(room, { elapsed, matchQuality, streakBefore, position, hintsBought }) {
+  const step = revealStep(room.roundReveal, elapsed, room.roundDuration);
+  const result = computeScore(scoringRules(room.settings.scoring), {
+    elapsed,
+    totalTime: room.roundDuration,
+    matchQuality,
+    streakBefore,
+    position,
+    revealMultiplier: revealMultiplier(room.roundReveal, step)
+  });
+
+  const details = {};
+  if (room.roundReveal) details.revealed = revealState(room.roundReveal, step).revealed;
+  if (hintsBought > 0) details.hintsUsed = hintsBought;
+  return { ...result, details };
+}
+
+// Negative marking: a wrong guess costs the preset's wrongPenalty. Returns
+// the (zero or negative) points to log against the guess.
+function penalizeWrongGuess(room, player) {
+  const penalty = scoringRules(room.settings.scoring).wrongPenalty;
+  if (!penalty) return 0;
+  player.score -= penalty;
+  emitLeaderboard(room);
+  return -penalty;
+}
+
+// Scores an answer of the given quality (0 to 1.0), records it and tells
+// the player and the room. `details` rides along in the answer record and
+// the guess-result (e.g. pin distance). Returns the points awarded.
+function awardAnswer(socket, room, player, matchQuality, details = {}) {
+  const elapsed = answerTime(room, socket);
+  const playerSessionId = player.sessionId || socket.sessionId;
+  const position = answerPosition(room, elapsed);
+
+  const result = scoreAnswer(room, {
+    elapsed,
+    matchQuality,
+    streakBefore: player.streak,
+    position,
+    hintsBought: room.roundHintsBought.get(playerSessionId) || 0
+  });
+  const { points, matchType, breakdown } = result;
+  details = { ...details, ...result.details };
+
+  player.streak = result.streak;
+  player.score += points;
+  player.answers.push({ round: room.currentRound, correct: matchQuality > 0, points, time: elapsed, matchQuality, ...details });
+  room.roundAnswered.add(playerSessionId);
+  persistRoom(room);
+
+  // Hints were charged when bought; the player sees them against this answer
+  const hintsPaid = room.roundHintsPaid.get(playerSessionId) || 0;
+  socket.emit('guess-result', {
+    correct: true,
+    points: points - hintsPaid,
+    totalScore: player.score,
+    position,
+    streak: player.streak,
+    timeTaken: elapsed,
+    matchType,
+    matchQuality: Math.round(matchQuality * 100),
+    breakdown: hintsPaid ? [...breakdown, { label: 'Hints', points: -hintsPaid }] : breakdown,
+    ...details
+  });
+
+  emitLeaderboard(room);
+  return points;
+}
+
+// Place among this round's correct answers. Without latency compensation
+// that's arrival order; with it, compensated times can reorder players. A
+// late packet can't take a place back from someone already paid for it, so
+// near-ties may share a place.
+function answerPosition(room, time) {
+  if (!room.settings.latencyCompensation) return room.roundAnswered.size + 1;
+  const earlier = allPlayers(room).filter(p =>
+    p.answers.some(a => a.round === room.currentRound && a.correct && a.time <= time));
+  return earlier.length + 1;
+}
+
+// Update leaderboard for everyone
+function emitLeaderboard(room) {
+  io.to(room.id).emit('leaderboard-update', {
+    players: getPlayerList(room),
+    teams: getTeamStandings(room),
+    answeredCount: room.roundAnswered.size,
+    totalPlayers: room.players.size
+  });
+}
+
+// { image, imageSrcset } for the current round's picture at a reveal step.
+// While a reveal round is still hiding it, that's the step drawn by the
+// server - the full picture's URLs only go out once it's fully revealed
+// (step Infinity, e.g. on the result screen).
+function roundImage(room, step) {
+  const plan = room.roundReveal;
+  if (plan && step < plan.steps) {
+    return { image: `/api/reveal/${room.id}/${plan.id}/${step}`, imageSrcset: '' };
+  }
+  return media.urls(`/api/round-image/${room.id}/${room.roundImageToken}`);
+}
+
+// Rendered reveal steps of each room's current round: roomId -> { planId, steps: Map(step -> Promise<Buffer>) }
+const revealRenders = new Map();
+
+function renderRevealStep(room, step) {
+  const plan = room.roundReveal;
+  let renders = revealRenders.get(room.id);
+  if (!renders || renders.planId !== plan.id) {
+    renders = { planId: plan.id, steps: new Map() };
+    revealRenders.set(room.id, renders);
+  }
+  if (!renders.steps.has(step)) {
+    const render = media.renderReveal(room.images[room.currentRound - 1].hash, revealState(plan, step));
+    render.catch(() => renders.steps.delete(step));
+    renders.steps.set(step, render);
+  }
+  return renders.steps.get(step);
+}
+
 function startRound(room) {
   room.currentRound++;
   if (room.currentRound > room.settings.totalRounds) {
@@ -402,60 +1581,165 @@ function startRound(room) {
 
   room.state = 'playing';
   room.roundStartTime = Date.now();
+  room.roundDuration = room.settings.roundTime * 1000;
+  room.pausedAt = null;
   room.roundAnswered = new Set();
+  room.roundLockedOut = new Set();
+  room.roundGuessCounts = new Map();
+  room.roundPins = new Map();
 
   const currentImage = room.images[room.currentRound - 1];
-
+  const choices = buildChoices(room, currentImage);
+  room.roundMode = getRoundMode(room, currentImage, choices);
+  room.roundChoices = room.roundMode === 'choice' ? choices : [];
+  room.roundReveal = createRevealPlan(room.settings.reveal);
+  room.roundHints = roundHints(currentImage, room.settings.hints, room.roundDuration);
+  room.roundHintsUnlocked = new Map();
+  room.roundHintsBought = new Map();
+  room.roundHintsPaid = new Map();
+  room.roundImageToken = uuidv4();
+  persistRoom(room);
+
+  // Nothing derived from the answer goes out here - hints arrive on their schedule
   io.to(room.id).emit('round-start', {
     round: room.currentRound,
     totalRounds: room.settings.totalRounds,
-    image: currentImage.data,
-    timeRemaining: room.settings.roundTime * 1000,
-    totalTime: room.settings.roundTime * 1000,
-    answerLength: currentImage.answer.length,
-    wordCount: currentImage.answer.split(/\s+/).length
+    ...roundImage(room, 0),
+    mode: room.roundMode,
+    choices: room.roundChoices,
+    reveal: revealState(room.roundReveal, 0),
+    hints: visibleHints(room.roundHints, 0),
+    hintCount: room.roundHints.length,
+    hintCost: room.settings.hintCost,
+    ...roundClock(room)
   });
 
-  // Send hints at intervals
-  let hintSent = { firstLetter: false, wordCount: false };
+  if (TEST_TOKEN) emitTestAnswer(room, io.to(testChannel(room.id)));
+
+  scheduleRoundTimers(room);
+}
+
+// Arms the hint/reveal ticker and the end-of-round timer relative to
+// roundStartTime, so a round restored from storage picks up where it stopped
+function scheduleRoundTimers(room) {
+  const totalTime = room.roundDuration;
+  const startElapsed = roundElapsed(room);
+  const plan = room.roundReveal;
+
+  // Send hints as they come due (hints already due were sent before a restore)
+  let hintsSent = visibleHints(room.roundHints, startElapsed).length;
+  let lastRevealStep = revealStep(plan, startElapsed, totalTime);
   const hintInterval = setInterval(() => {
     if (room.state !== 'playing') {
       clearInterval(hintInterval);
       return;
     }
-    const elapsed = Date.now() - room.roundStartTime;
-    const totalTime = room.settings.roundTime * 1000;
+    const elapsed = roundElapsed(room);
 
-    if (elapsed >= totalTime * 0.5 && !hintSent.firstLetter) {
-      hintSent.firstLetter = true;
-      io.to(room.id).emit('hint', {
-        type: 'first-letter',
-        value: currentImage.answer.charAt(0).toUpperCase(),
-        message: `Hint: Starts with "${currentImage.answer.charAt(0).toUpperCase()}"`
-      });
+    const step = revealStep(plan, elapsed, totalTime);
+    if (plan && step !== lastRevealStep) {
+      lastRevealStep = step;
+      io.to(room.id).emit('reveal', { ...revealState(plan, step), ...roundImage(room, step) });
     }
 
-    if (elapsed >= totalTime * 0.75 && !hintSent.wordCount) {
-      hintSent.wordCount = true;
-      const wordCount = currentImage.answer.split(/\s+/).length;
-      io.to(room.id).emit('hint', {
-        type: 'word-count',
-        value: wordCount,
-        message: `Hint: ${wordCount} word${wordCount > 1 ? 's' : ''}`
-      });
-      clearInterval(hintInterval);
-    }
+    const due = visibleHints(room.roundHints, elapsed);
+    for (const hint of due.slice(hintsSent)) io.to(room.id).emit('hint', hint);
+    hintsSent = due.length;
+
+    if (hintsSent === room.roundHints.length && (!plan || lastRevealStep === plan.steps)) clearInterval(hintInterval);
   }, 1000);
+  room.roundTicker = hintInterval;
 
   // End round timer
   room.roundTimer = setTimeout(() => {
     clearInterval(hintInterval);
     endRound(room);
-  }, room.settings.roundTime * 1000);
+  }, Math.max(0, totalTime - startElapsed));
+}
+
+// Time into the current round; frozen while the round is paused
+function roundElapsed(room) {
+  return (room.pausedAt || Date.now()) - room.roundStartTime;
+}
+
+// A round is on screen (not the pre-game countdown or the results)
+function isRoundRunning(room) {
+  return room.state === 'playing' && room.currentRound > 0;
+}
+
+// Tells clients to resync their countdown after a pause, resume or added time
+function emitTimerSync(room) {
+  io.to(room.id).emit('timer-sync', roundClock(room));
+}
+
+// Throws out the current image: points from this round are taken back and
+// the next spare image (if any) is played as the same round number
+function skipRound(room) {
+  clearRoundTimers(room);
+  for (const player of allPlayers(room)) {
+    for (const answer of player.answers.filter(a => a.round === room.currentRound)) {
+      player.score -= answer.points;
+    }
+    player.answers = player.answers.filter(a => a.round !== room.currentRound);
+    // Wrong-guess penalties only live in the guess log - hand them back too
+    const guesses = room.guessLog.filter(g => g.round === room.currentRound && g.sessionId === player.sessionId);
+    for (const g of guesses) {
+      if (g.points < 0) player.score -= g.points;
+    }
+    // The round's first guess has the streak the player came in with
+    if (guesses.length > 0) player.streak = guesses[0].streakBefore;
+    // Hints bought this round are handed back as well
+    player.score += room.roundHintsPaid.get(player.sessionId) || 0;
+  }
+  room.guessLog = room.guessLog.filter(g => g.round !== room.currentRound);
+
+  const [skipped] = room.images.splice(room.currentRound - 1, 1);
+  room.images.push(skipped);
+  // No spare image to bring in - the game gets one round shorter
+  if (room.images.length <= room.settings.totalRounds) room.settings.totalRounds--;
+
+  io.to(room.id).emit('round-skipped', { round: room.currentRound });
+  emitLeaderboard(room);
+  room.currentRound--;
+  startRound(room);
+}
+
+function clearRoundTimers(room) {
+  if (room.roundTimer) clearTimeout(room.roundTimer);
+  if (room.roundTicker) clearInterval(room.roundTicker);
+  room.roundTimer = null;
+  room.roundTicker = null;
+}
+
+// Sends the in-progress round to a single (late-joining or rejoining) socket
+function emitCurrentRound(socket, room) {
+  const currentImage = room.images[room.currentRound - 1];
+  if (!currentImage) return;
+  const elapsed = roundElapsed(room);
+  const step = revealStep(room.roundReveal, elapsed, room.roundDuration);
+  socket.emit('round-start', {
+    round: room.currentRound,
+    totalRounds: room.settings.totalRounds,
+    ...roundImage(room, step),
+    mode: room.roundMode,
+    choices: room.roundChoices,
+    reveal: revealState(room.roundReveal, step),
+    ...roundClock(room),
+    hints: visibleHints(room.roundHints, elapsed, room.roundHintsUnlocked.get(socket.sessionId)),
+    hintCount: room.roundHints.length,
+    hintCost: room.settings.hintCost
+  });
+  if (socket.isTestBot) emitTestAnswer(room, socket);
+  if (socket.isHost) {
+    for (const g of room.guessLog) {
+      if (g.round === room.currentRound) socket.emit('guess-feed', feedEntry(g));
+    }
+  }
 }
 
 function endRound(room) {
   room.state = 'roundResult';
+  room.roundEndTime = Date.now();
   const currentImage = room.images[room.currentRound - 1];
 
   // Mark streak broken for players who didn't answer
@@ -466,33 +1750,49 @@ function endRound(room) {
       player.answers.push({ round: room.currentRound, correct: false, points: 0, time: null });
     }
   }
+  persistRoom(room);
 
   io.to(room.id).emit('round-end', {
     round: room.currentRound,
     totalRounds: room.settings.totalRounds,
     correctAnswer: currentImage.answer,
-    image: currentImage.data,
+    alternatives: currentImage.aliases || [],
+    mode: room.roundMode,
+    location: currentImage.location || null,
+    pins: Array.from(room.roundPins.values()),
+    ...roundImage(room, Infinity),
     players: getPlayerList(room),
+    teams: getTeamStandings(room),
+    ...summarizeRoundGuesses(room),
     answeredCount: room.roundAnswered.size,
-    totalPlayers: room.players.size
+    totalPlayers: room.players.size,
+    nextRoundIn: room.settings.resultTime > 0 ? room.settings.resultTime * 1000 : null // null = waiting for the host
   });
 
-  // Auto-advance to next round after 5 seconds
-  room.roundTimer = setTimeout(() => {
-    startRound(room);
-  }, 5000);
+  // Auto-advance to next round, unless the host advances manually
+  if (room.settings.resultTime > 0) {
+    room.roundTimer = setTimeout(() => {
+      startRound(room);
+    }, room.settings.resultTime * 1000);
+  }
 }
 
 function endGame(room) {
   room.state = 'finished';
-  if (room.roundTimer) clearTimeout(room.roundTimer);
+  room.roundImageToken = null;
+  clearRoundTimers(room);
+  persistRoom(room);
+  reports.save(buildReport(room, allPlayers(room)));
 
   const players = getPlayerList(room);
   players.sort((a, b) => b.score - a.score);
+  const teams = getTeamStandings(room);
 
   io.to(room.id).emit('game-over', {
     players,
     winner: players[0] || null,
+    teams,
+    winningTeam: teams[0] || null,
     totalRounds: room.settings.totalRounds
   });
 }
@@ -503,6 +1803,7 @@ function getPlayerList(room) {
     players.push({
       id: player.id,
       name: player.name,
+      team: player.team || null,
       score: player.score,
       streak: player.streak,
       correctAnswers: player.answers.filter(a => a.correct).length
@@ -511,122 +1812,204 @@ function getPlayerList(room) {
   return players.sort((a, b) => b.score - a.score);
 }
 
-function checkAnswer(guess, correctAnswer) {
-  if (!guess || !correctAnswer) return 0;
-
-  const normalize = (str) => str.toLowerCase().trim()
-    .replace(/[^a-z0-9\s]/g, '')
-    .replace(/\s+/g, ' ');
-
-  const g = normalize(guess);
-  const c = normalize(correctAnswer);
-  if (!g || !c) return 0;
-
-  // TEST CHEAT CODE
-  if (guess.includes('##CORRECT##')) return 1.0;
-
-  // Exact match → 1.0
-  if (g === c) return 1.0;
-
-  // Full contains match → 0.9-1.0
-  if (g.includes(c)) return 1.0;
-  if (c.includes(g) && g.length >= c.length * 0.7) return 0.9;
-
-  // Levenshtein on full string
-  const distance = levenshtein(g, c);
-  const maxLen = Math.max(g.length, c.length);
-  const ratio = maxLen > 0 ? distance / maxLen : 1;
-
-  // Very close (<=15% typos) → 0.9
-  if (ratio <= 0.15) return 0.9;
-  // Close (<=25% typos) → 0.8
-  if (ratio <= 0.25) return 0.8;
-  // Somewhat close (<=35% typos) → 0.7
-  if (ratio <= 0.35) return 0.7;
-
-  // Strip common words and compare
-  const stopWords = ['the', 'of', 'a', 'an', 'at', 'in', 'on', 'le', 'la', 'el', 'de', 'di', 'du'];
-  const stripStop = (str) => str.split(' ').filter(w => !stopWords.includes(w)).join(' ');
-  const gStripped = stripStop(g);
-  const cStripped = stripStop(c);
-  if (gStripped && cStripped) {
-    if (gStripped === cStripped) return 0.95;
-    const dStripped = levenshtein(gStripped, cStripped);
-    const maxStripped = Math.max(gStripped.length, cStripped.length);
-    const sRatio = maxStripped > 0 ? dStripped / maxStripped : 1;
-    if (sRatio <= 0.2) return 0.85;
-    if (sRatio <= 0.35) return 0.7;
-  }
-
-  // Word-by-word matching for partial credit
-  const gWords = g.split(' ').filter(w => w.length > 2);
-  const cWords = c.split(' ').filter(w => w.length > 2 && !stopWords.includes(w));
-  if (cWords.length > 0 && gWords.length > 0) {
-    let matchedWords = 0;
-    for (const cw of cWords) {
-      for (const gw of gWords) {
-        const wordDist = levenshtein(gw, cw);
-        const wordMax = Math.max(gw.length, cw.length);
-        if (wordMax > 0 && wordDist / wordMax <= 0.3) {
-          matchedWords++;
-          break;
-        }
-      }
+// Connected and disconnected players - a dropped player's points still count for their team
+function allPlayers(room) {
+  return [...room.players.values(), ...room.disconnectedPlayers.values()];
+}
+
+function getTeamStandings(room) {
+  return teamStandings(allPlayers(room), room.settings);
+}
+
+// The player has used up the host's cap on text guesses this round
+function outOfGuesses(room, sessionId) {
+  const cap = room.settings.maxGuessesPerRound;
+  return Boolean(cap) && (room.roundGuessCounts.get(sessionId) || 0) >= cap;
+}
+
+const MAX_GUESS_LOG = 10000;
+
+// Appends to the room's guess log (right and wrong), persists the room and
+// shows the guess in the host's live feed
+function recordGuess(room, player, guess, { matchQuality, similarity = null, points = 0, streakBefore = 0, ...extra }) {
+  if (typeof guess !== 'string' || !guess.trim() || room.guessLog.length >= MAX_GUESS_LOG) return null;
+  const entry = {
+    id: uuidv4().slice(0, 8),
+    round: room.currentRound,
+    sessionId: player.sessionId,
+    name: player.name,
+    guess: guess.trim().slice(0, MAX_GUESS_LENGTH),
+    at: Date.now(),
+    time: roundElapsed(room),
+    matchQuality,
+    similarity,
+    correct: matchQuality > 0,
+    points,
+    streakBefore,
+    ...extra
+  };
+  room.guessLog.push(entry);
+  persistRoom(room);
+  io.to(hostChannel(room.id)).emit('guess-feed', feedEntry(entry));
+  return entry;
+}
+
+// What the host's feed shows for a logged guess
+function feedEntry(g) {
+  return { id: g.id, round: g.round, name: g.name, guess: g.guess, correct: g.correct, matchQuality: g.matchQuality, points: g.points, override: g.override || null };
+}
+
+// Host moderation: accept a guess the matcher missed (full credit, scored as
+// of when it came in) or reject one it let through. Only the guessing
+// player's points, streak and the round's roundAnswered set change.
+function overrideGuess(room, player, entry, accept) {
+  const round = room.currentRound;
+  const sid = player.sessionId;
+
+  const previous = player.answers.find(a => a.round === round);
+  if (previous) player.score -= previous.points;
+  player.answers = player.answers.filter(a => a.round !== round);
+  // Whatever else the player guessed this round stops counting (wrong-guess
+  // penalties stay charged)
+  for (const g of room.guessLog) {
+    if (g.round === round && g.sessionId === sid && g.points > 0) g.points = 0;
+  }
+
+  if (accept) {
+    const earlier = new Set(room.guessLog
+      .filter(g => g.round === round && g.correct && g.sessionId !== sid && g.time < entry.time)
+      .map(g => g.sessionId));
+    const result = scoreAnswer(room, {
+      elapsed: entry.time,
+      matchQuality: 1.0,
+      streakBefore: entry.streakBefore,
+      position: earlier.size + 1,
+      hintsBought: room.roundHintsBought.get(sid) || 0
+    });
+    player.streak = result.streak;
+    player.score += result.points;
+    player.answers.push({ round, correct: true, points: result.points, time: entry.time, matchQuality: 1.0, overridden: true });
+    room.roundAnswered.add(sid);
+    // An accepted guess isn't wrong after all - hand back its penalty
+    if (entry.points < 0) player.score -= entry.points;
+    Object.assign(entry, { correct: true, matchQuality: 1.0, points: result.points, override: 'accepted' });
+  } else {
+    room.roundAnswered.delete(sid);
+    Object.assign(entry, { correct: false, matchQuality: 0, points: 0, override: 'rejected' });
+    if (room.state === 'playing') {
+      // Round still running - the player may try again (one pick in choice rounds)
+      player.streak = entry.streakBefore;
+      if (room.roundMode === 'choice') room.roundLockedOut.add(sid);
+      room.roundPins.delete(sid);
+    } else {
+      player.streak = 0;
+      player.answers.push({ round, correct: false, points: 0, time: null, overridden: true });
     }
-    const wordRatio = matchedWords / cWords.length;
-    // All key words match → 0.85
-    if (wordRatio >= 1.0) return 0.85;
-    // Most key words match → 0.6
-    if (wordRatio >= 0.6) return 0.6;
-    // Some key words match → partial credit
-    if (wordRatio >= 0.4) return 0.4;
   }
+  persistRoom(room);
+}
 
-  // Partial contain match (shorter threshold) → 0.4
-  if (c.includes(g) && g.length >= c.length * 0.4) return 0.4;
+// Most common wrong answers and the closest misses of the current round
+function summarizeRoundGuesses(room) {
+  const wrong = room.guessLog.filter(g => g.round === room.currentRound && !g.correct);
 
-  // Vowel-stripped comparison → 0.65
-  const stripVowels = (str) => str.replace(/[aeiou]/g, '');
-  const gNoVowels = stripVowels(g);
-  const cNoVowels = stripVowels(c);
-  if (gNoVowels.length >= 3 && cNoVowels.length >= 3) {
-    const vDist = levenshtein(gNoVowels, cNoVowels);
-    const vMax = Math.max(gNoVowels.length, cNoVowels.length);
-    if (vMax > 0 && vDist / vMax <= 0.2) return 0.65;
+  const counts = new Map(); // normalized guess -> { guess, count }
+  for (const g of wrong) {
+    const key = normalizeAnswer(g.guess) || g.guess;
+    const entry = counts.get(key) || { guess: g.guess, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
   }
 
-  return 0;
+  const seen = new Set();
+  const closestMisses = wrong
+    .filter(g => g.similarity !== null)
+    .sort((a, b) => b.similarity - a.similarity)
+    .filter(g => {
+      const key = `${g.sessionId}:${normalizeAnswer(g.guess)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, 5)
+    .map(g => ({ name: g.name, guess: g.guess, similarity: g.similarity }));
+
+  return {
+    commonWrongAnswers: [...counts.values()].sort((a, b) => b.count - a.count).slice(0, 5),
+    closestMisses
+  };
 }
 
-function levenshtein(a, b) {
-  const dp = Array.from({ length: a.length + 1 }, (_, i) =>
-    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
-  );
-  for (let i = 1; i <= a.length; i++) {
-    for (let j = 1; j <= b.length; j++) {
-      dp[i][j] = a[i - 1] === b[j - 1]
-        ? dp[i - 1][j - 1]
-        : 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
+function emitTeamUpdate(room, message) {
+  io.to(room.id).emit('player-update', {
+    players: getPlayerList(room),
+    teams: getTeamStandings(room),
+    message
+  });
+}
+
+// ==================== RESTORE FROM STORAGE ====================
+
+// Reloads saved rooms and resumes any game that was running when the
+// server stopped. Sockets did not survive, so every player is parked in
+// disconnectedPlayers and gets their score back on rejoin.
+function restoreRooms() {
+  const now = Date.now();
+  for (const room of store.load()) {
+    // With several workers sharing DATA_DIR, each restores only the rooms it owns
+    if (!ownsRoom(room.id)) continue;
+    if (now - room.createdAt > 3 * 60 * 60 * 1000) {
+      store.remove(room.id);
+      continue;
+    }
+
+    room.roundTimer = null;
+    room.roundTicker = null;
+    for (const player of room.players.values()) {
+      player.disconnectedAt = now;
+      room.disconnectedPlayers.set(player.sessionId, player);
     }
+    room.players = new Map();
+    rooms.set(room.id, room);
+
+    if (room.state === 'playing' && room.currentRound === 0) {
+      // Stopped during the pre-game countdown
+      room.roundTimer = setTimeout(() => startRound(room), 2000);
+    } else if (room.state === 'playing' && !room.pausedAt) {
+      scheduleRoundTimers(room);
+    } else if (room.state === 'roundResult' && room.settings.resultTime > 0) {
+      const remaining = room.settings.resultTime * 1000 - (now - (room.roundEndTime || now));
+      room.roundTimer = setTimeout(() => startRound(room), Math.max(0, remaining));
+    }
+    persistRoom(room);
   }
-  return dp[a.length][b.length];
+  if (rooms.size > 0) console.log(`Restored ${rooms.size} room(s) from storage`);
 }
 
-function getHint(answer, elapsed, totalTime) {
-  const hints = [];
-  if (elapsed >= totalTime * 0.5) {
-    hints.push({ type: 'first-letter', value: answer.charAt(0).toUpperCase() });
-  }
-  if (elapsed >= totalTime * 0.75) {
-    hints.push({ type: 'word-count', value: answer.split(/\s+/).length });
-  }
-  return hints;
+restoreRooms();
+
+// Write out anything pending before the process goes away
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    store.flush();
+    process.exit(0);
+  });
 }
 
 // ==================== START SERVER ====================
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🌍 Guess the Place server running on port ${PORT}`);
-  console.log(`   Open http://localhost:${PORT} to play!`);
-});
+if (cluster.isWorker) {
+  // cluster.js owns the public port and proxies this worker's rooms to it.
+  // exclusive, or cluster would share one port round-robin between workers.
+  server.listen({ port: 0, host: '127.0.0.1', exclusive: true }, () => {
+    process.send({ type: 'worker-listening', port: server.address().port });
+    console.log(`Worker ${WORKER_INDEX + 1}/${WORKER_COUNT} ready (pid ${process.pid})`);
+  });
+} else {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    const { port } = server.address(); // PORT=0 picks a free one
+    console.log(`🌍 Guess the Place server running on port ${port}`);
+    console.log(`   Open http://localhost:${port} to play!`);
+  });
+}
@@ -3,9 +3,12 @@ const io = require('socket.io-client');
 const ROOM_ID = process.argv[2];
 const SERVER_URL = process.argv[3] || 'https://guess-the-place.onrender.com';
 const NUM_PLAYERS = 40;
+// Must match the server's TEST_TOKEN; the server only sends bots the answers
+// when it runs with TEST_MODE=1
+const TEST_TOKEN = process.env.TEST_TOKEN;
 
-if (!ROOM_ID) {
-    console.error("Usage: node simulate_players.js <ROOM_ID> [SERVER_URL]");
+if (!ROOM_ID || !TEST_TOKEN) {
+    console.error("Usage: TEST_TOKEN=<token> node simulate_players.js <ROOM_ID> [SERVER_URL]");
     process.exit(1);
 }
 
@@ -19,20 +22,26 @@ for (let i = 0; i < NUM_PLAYERS; i++) {
         const socket = io(SERVER_URL, {
             transports: ['websocket', 'polling'], // Allow polling fallbacks for stability
             reconnection: true,
-            forceNew: true // Ensure distinct connections
+            forceNew: true, // Ensure distinct connections
+            query: { roomId: ROOM_ID } // lets a clustered server route the bot to the room's process
         });
 
         const name = `Bot_${i + 1}`;
+        let solution = null; // { round, answer, aliases, location } from the server's test mode
 
         socket.on('connect', () => {
             // Join room
-            socket.emit('player-join', { roomId: ROOM_ID, playerName: name });
+            socket.emit('player-join', { roomId: ROOM_ID, playerName: name, testToken: TEST_TOKEN });
         });
 
         socket.on('room-joined', () => {
             console.log(`${name} joined!`);
         });
 
+        socket.on('test-answer', (data) => {
+            solution = data;
+        });
+
         socket.on('round-start', (data) => {
             // Determine behavior for this round
             const isCorrect = Math.random() < 0.6; // 60% get it right
@@ -41,14 +50,18 @@ for (let i = 0; i < NUM_PLAYERS; i++) {
             const delay = Math.random() * (data.totalTime * 0.8) + 1000; // Random delay within 80% time
 
             setTimeout(() => {
+                if (!solution || solution.round !== data.round) {
+                    console.log(`⚠️ ${name} has no answer for round ${data.round} - is the server in test mode?`);
+                    return;
+                }
                 if (isCorrect) {
-                    socket.emit('submit-guess', { roomId: ROOM_ID, guess: '##CORRECT##' });
+                    submit(data, solution.answer, 0);
                     console.log(`✅ ${name} guessing CORRECT`);
                 } else if (isClose) {
-                    // Just send a random string for now, unless I know the answer? 
-                    // Since I don't know the answer, close/partial is hard to fake without the answer.
-                    // I'll skip partial simulation for now and just do correct vs wrong.
-                    socket.emit('submit-guess', { roomId: ROOM_ID, guess: 'wrong_guess' });
+                    submit(data, withTypo(solution.answer), 300);
+                    console.log(`🟡 ${name} guessing CLOSE`);
+                } else if (Math.random() < 0.5) {
+                    submit(data, 'wrong_guess', 5000);
                     console.log(`❌ ${name} guessing WRONG`);
                 } else {
                     // Do nothing (timeout)
@@ -57,6 +70,25 @@ for (let i = 0; i < NUM_PLAYERS; i++) {
             }, delay);
         });
 
+        // Text guess, choice pick or map pin depending on the round; pins land
+        // about `offsetKm` from the real spot
+        function submit(round, guess, offsetKm) {
+            if (round.mode === 'choice') {
+                const index = round.choices.indexOf(guess);
+                const choice = index >= 0 ? index : Math.floor(Math.random() * round.choices.length);
+                socket.emit('submit-guess', { roomId: ROOM_ID, choice });
+            } else if (round.mode === 'pin' && solution.location) {
+                const degrees = offsetKm / 111;
+                socket.emit('submit-pin', {
+                    roomId: ROOM_ID,
+                    lat: Math.max(-90, Math.min(90, solution.location.lat + (Math.random() - 0.5) * degrees)),
+                    lng: solution.location.lng + (Math.random() - 0.5) * degrees
+                });
+            } else {
+                socket.emit('submit-guess', { roomId: ROOM_ID, guess });
+            }
+        }
+
         socket.on('disconnect', () => {
             console.log(`${name} disconnected`);
         });
@@ -65,5 +97,12 @@ for (let i = 0; i < NUM_PLAYERS; i++) {
     }, i * 100); // 100ms stagger between bots
 }
 
+// Drops one letter so the guess is close but not exact
+function withTypo(answer) {
+    if (answer.length < 4) return answer;
+    const at = 1 + Math.floor(Math.random() * (answer.length - 2));
+    return answer.slice(0, at) + answer.slice(at + 1);
+}
+
 // Keep process alive
 setInterval(() => { }, 10000);
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Runtime-only room fields (sockets and timers) that never get written out
+const TRANSIENT_KEYS = new Set(['roundTimer', 'roundTicker']);
+
+// ==================== SERIALIZATION ====================
+
+function serializeRoom(room) {
+  return JSON.stringify(room, function (key, value) {
+    if (this === room && TRANSIENT_KEYS.has(key)) return undefined;
+    if (value instanceof Map) return { __type: 'Map', entries: Array.from(value) };
+    if (value instanceof Set) return { __type: 'Set', values: Array.from(value) };
+    return value;
+  });
+}
+
+function deserializeRoom(json) {
+  return JSON.parse(json, (key, value) => {
+    if (value && value.__type === 'Map') return new Map(value.entries);
+    if (value && value.__type === 'Set') return new Set(value.values);
+    return value;
+  });
+}
+
+// ==================== BACKENDS ====================
+
+// Keeps nothing between runs - the original behaviour
+function createMemoryStore() {
+  return {
+    load: () => [],
+    save: () => {},
+    remove: () => {},
+    flush: () => {}
+  };
+}
+
+// One JSON file per room. Writes are coalesced per room and land via
+// a temp file + rename so a crash mid-write never leaves a torn file.
+function createFileStore(dir) {
+  const roomsDir = path.join(dir, 'rooms');
+  fs.mkdirSync(roomsDir, { recursive: true });
+
+  const pending = new Map(); // roomId -> room awaiting write
+  let flushScheduled = false;
+
+  const fileFor = (roomId) => path.join(roomsDir, `${roomId}.json`);
+
+  function writeRoom(room) {
+    const file = fileFor(room.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, serializeRoom(room));
+    fs.renameSync(tmp, file);
+  }
+
+  function flush() {
+    flushScheduled = false;
+    for (const room of pending.values()) {
+      try {
+        writeRoom(room);
+      } catch (err) {
+        console.error(`Failed to save room ${room.id}:`, err.message);
+      }
+    }
+    pending.clear();
+  }
+
+  return {
+    load() {
+      const rooms = [];
+      for (const file of fs.readdirSync(roomsDir)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          rooms.push(deserializeRoom(fs.readFileSync(path.join(roomsDir, file), 'utf8')));
+        } catch (err) {
+          console.error(`Skipping unreadable room file ${file}:`, err.message);
+        }
+      }
+      return rooms;
+    },
+
+    save(room) {
+      pending.set(room.id, room);
+      if (!flushScheduled) {
+        flushScheduled = true;
+        setTimeout(flush, 100);
+      }
+    },
+
+    remove(roomId) {
+      pending.delete(roomId);
+      fs.rm(fileFor(roomId), { force: true }, () => {});
+    },
+
+    flush
+  };
+}
+
+function createStore({ type = 'file', dir } = {}) {
+  if (type === 'memory') return createMemoryStore();
+  if (type === 'file') return createFileStore(dir);
+  throw new Error(`Unknown storage type "${type}"`);
+}
+
+module.exports = { createStore, serializeRoom, deserializeRoom };
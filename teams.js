@@ -0,0 +1,39 @@
+// Team mode: players join (or are balanced into) one of the room's teams,
+// and team scores roll up from individual scores.
+
+const TEAM_SCORING = ['sum', 'average', 'best'];
+const MAX_TEAMS = 8;
+
+// Accepts an array or a comma-separated string; returns unique, trimmed names
+function cleanTeamNames(value) {
+  if (typeof value === 'string') value = value.split(',');
+  if (!Array.isArray(value)) return null;
+  const names = value.filter(t => typeof t === 'string').map(t => t.trim().slice(0, 20)).filter(Boolean);
+  return [...new Set(names)].slice(0, MAX_TEAMS);
+}
+
+// The requested team if it exists, otherwise the smallest one (first on ties).
+// Returns null when the room has no teams.
+function pickTeam(teams, players, requested) {
+  if (!teams || teams.length === 0) return null;
+  if (teams.includes(requested)) return requested;
+  const sizes = new Map(teams.map(t => [t, 0]));
+  for (const p of players) {
+    if (sizes.has(p.team)) sizes.set(p.team, sizes.get(p.team) + 1);
+  }
+  return teams.reduce((smallest, t) => (sizes.get(t) < sizes.get(smallest) ? t : smallest));
+}
+
+// Team scores: sum of members, average per member, or sum of the best N
+function teamStandings(players, { teams, teamScoring, teamBestN }) {
+  if (!teams || teams.length === 0) return [];
+  return teams.map(name => {
+    const scores = players.filter(p => p.team === name).map(p => p.score).sort((a, b) => b - a);
+    let score = scores.reduce((sum, s) => sum + s, 0);
+    if (teamScoring === 'average') score = scores.length > 0 ? Math.round(score / scores.length) : 0;
+    if (teamScoring === 'best') score = scores.slice(0, teamBestN).reduce((sum, s) => sum + s, 0);
+    return { name, score, members: scores.length };
+  }).sort((a, b) => b.score - a.score);
+}
+
+module.exports = { TEAM_SCORING, cleanTeamNames, pickTeam, teamStandings };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBundle, readBundle, BundleError } = require('../bundle');
+
+const picture = Buffer.from('not really a picture, but bytes enough to deflate '.repeat(200));
+
+function bundle(images = [{ buffer: picture, mimetype: 'image/png', answer: 'Paris', aliases: ['Paree'] }]) {
+  return createBundle({ images, settings: { roundTime: 45 } });
+}
+
+test('a bundle reads back what was written', () => {
+  const { settings, images } = readBundle(bundle());
+  assert.deepStrictEqual(settings, { roundTime: 45 });
+  assert.strictEqual(images.length, 1);
+  assert.strictEqual(images[0].answer, 'Paris');
+  assert.deepStrictEqual(images[0].aliases, ['Paree']);
+  assert.strictEqual(images[0].mimetype, 'image/png');
+  assert.ok(images[0].read().equals(picture));
+});
+
+test('a file that is not a ZIP is a BundleError', () => {
+  assert.throws(() => readBundle(Buffer.from('hello')), BundleError);
+});
+
+test('a damaged image entry is a BundleError naming the file', () => {
+  const zip = bundle();
+  const name = Buffer.from('images/001.png');
+  // Scramble the deflated bytes just after the entry's local header
+  const at = zip.indexOf(name) + name.length + 20;
+  for (let i = at; i < at + 3; i++) zip[i] ^= 0xff;
+  const { images } = readBundle(zip);
+  assert.throws(() => images[0].read(), (err) => err instanceof BundleError && err.message.includes('images/001.png'));
+});
+
+test('a bundle may list no more images than one upload', () => {
+  const images = Array.from({ length: 21 }, () => ({ buffer: picture, mimetype: 'image/png', answer: 'Paris' }));
+  assert.throws(() => readBundle(bundle(images)), /21 images/);
+});
+
+test('images are size-checked before anything is inflated', () => {
+  const big = Buffer.alloc(5 * 1024 * 1024);
+  const images = Array.from({ length: 11 }, () => ({ buffer: big, mimetype: 'image/png', answer: 'Paris' }));
+  assert.throws(() => readBundle(bundle(images)), /more than 50MB/);
+
+  // An entry claiming 0 bytes would inflate without any cap
+  const zip = bundle();
+  const centralName = zip.lastIndexOf(Buffer.from('images/001.png'));
+  zip.writeUInt32LE(0, centralName - 46 + 24);
+  assert.throws(() => readBundle(zip), /is empty/);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect } = require('./support/server');
+
+test('clock sync', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('the server answers a clock-sync with its clock as of the reply', async () => {
+    const socket = connect(server.url);
+    try {
+      const sent = Date.now();
+      const reply = await socket.timeout(5000).emitWithAck('clock-sync');
+      const received = Date.now();
+      // Same machine, same clock: the reading falls inside the exchange we timed
+      assert.ok(reply.serverTime >= sent && reply.serverTime <= received, JSON.stringify({ sent, reply, received }));
+    } finally {
+      socket.close();
+    }
+  });
+});
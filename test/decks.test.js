@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { startServer, testImage } = require('./support/server');
+
+async function deckForm(answers, extra = {}) {
+  const form = new FormData();
+  form.append('name', 'Capitals');
+  const png = await testImage();
+  for (const [i] of answers.entries()) form.append('images', new Blob([png], { type: 'image/png' }), `${i}.png`);
+  form.append('answers', JSON.stringify(answers));
+  for (const [field, value] of Object.entries(extra)) form.append(field, value);
+  return form;
+}
+
+test('decks', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const room = await (await fetch(`${server.url}/api/create-room`, { method: 'POST' })).json();
+  const hostAuth = { Authorization: `Bearer ${room.hostToken}` };
+
+  await t.test('saving a deck needs a room host', async () => {
+    const anonymous = await fetch(`${server.url}/api/decks`, { method: 'POST', body: await deckForm(['Paris']) });
+    assert.strictEqual(anonymous.status, 404);
+    const guessed = await fetch(`${server.url}/api/decks?roomId=${room.roomId}`, { method: 'POST', body: await deckForm(['Paris']) });
+    assert.strictEqual(guessed.status, 401);
+  });
+
+  await t.test('only the owner can change or delete a deck', async () => {
+    const created = await fetch(`${server.url}/api/decks?roomId=${room.roomId}`, { method: 'POST', body: await deckForm(['Paris']), headers: hostAuth });
+    assert.strictEqual(created.status, 200);
+    assert.match(created.headers.get('set-cookie'), /HttpOnly/);
+    const deck = await created.json();
+    const ownerAuth = { Authorization: `Bearer ${deck.deckToken}` };
+
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}`, { method: 'DELETE' })).status, 401);
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}`, { method: 'DELETE', headers: hostAuth })).status, 401);
+    const renamed = await fetch(`${server.url}/api/decks/${deck.id}`, { method: 'PUT', body: await deckForm([]), headers: hostAuth });
+    assert.strictEqual(renamed.status, 401);
+
+    const malformed = await fetch(`${server.url}/api/decks/${deck.id}`, { method: 'PUT', body: await deckForm([], { aliases: '[oops' }), headers: ownerAuth });
+    assert.strictEqual(malformed.status, 400);
+
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}`, { method: 'DELETE', headers: ownerAuth })).status, 200);
+  });
+
+  await t.test('only the owner can see a deck\'s answers or start a room from it', async () => {
+    const created = await fetch(`${server.url}/api/decks?roomId=${room.roomId}`, { method: 'POST', body: await deckForm(['Paris']), headers: hostAuth });
+    const deck = await created.json();
+    const ownerAuth = { Authorization: `Bearer ${deck.deckToken}` };
+    assert.strictEqual(deck.images[0].name, undefined); // the upload was called 0.png
+
+    const listed = async (headers) => (await (await fetch(`${server.url}/api/decks`, { headers })).json()).decks.map(d => d.id);
+    assert.deepStrictEqual(await listed({}), []);
+    assert.deepStrictEqual(await listed(ownerAuth), [deck.id]);
+
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}`)).status, 401);
+    assert.strictEqual((await fetch(`${server.url}${deck.images[0].url}`)).status, 401);
+    const own = await (await fetch(`${server.url}/api/decks/${deck.id}`, { headers: ownerAuth })).json();
+    assert.strictEqual(own.images[0].answer, 'Paris');
+    assert.strictEqual((await fetch(`${server.url}${own.images[0].url}`, { headers: ownerAuth })).status, 200);
+
+    const start = (headers) => fetch(`${server.url}/api/create-room`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ deckId: deck.id })
+    });
+    assert.strictEqual((await start({})).status, 401);
+    const started = await start(ownerAuth);
+    assert.strictEqual(started.status, 200);
+    assert.strictEqual((await started.json()).imageCount, 1);
+  });
+
+  await t.test('deck images are stored without their metadata, and unreadable ones are refused', async () => {
+    const tagged = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#a73' } })
+      .jpeg()
+      .withExif({ IFD0: { ImageDescription: 'Eiffel Tower, Paris' } })
+      .toBuffer();
+    assert.ok(tagged.includes('Eiffel Tower'));
+
+    const form = new FormData();
+    form.append('name', 'Landmarks');
+    form.append('images', new Blob([tagged], { type: 'image/jpeg' }), 'a.jpg');
+    form.append('answers', JSON.stringify(['Eiffel Tower']));
+    const deck = await (await fetch(`${server.url}/api/decks?roomId=${room.roomId}`, { method: 'POST', body: form, headers: hostAuth })).json();
+    const stored = await fetch(`${server.url}${deck.images[0].url}`, { headers: { Authorization: `Bearer ${deck.deckToken}` } });
+    assert.strictEqual(stored.headers.get('content-type'), 'image/webp');
+    assert.ok(!Buffer.from(await stored.arrayBuffer()).includes('Eiffel Tower'));
+
+    const broken = new FormData();
+    broken.append('name', 'Broken');
+    broken.append('images', new Blob([Buffer.from('\xff\xd8 not really a jpeg')], { type: 'image/jpeg' }), 'b.jpg');
+    broken.append('answers', JSON.stringify(['Rome']));
+    const refused = await fetch(`${server.url}/api/decks?roomId=${room.roomId}`, { method: 'POST', body: broken, headers: hostAuth });
+    assert.strictEqual(refused.status, 400);
+  });
+
+  await t.test('a share invite lets another organizer start rooms, not change the deck', async () => {
+    const created = await fetch(`${server.url}/api/decks?roomId=${room.roomId}`, { method: 'POST', body: await deckForm(['Paris']), headers: hostAuth });
+    const deck = await created.json();
+    const ownerAuth = { Authorization: `Bearer ${deck.deckToken}` };
+
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}/invites`, { method: 'POST', headers: hostAuth })).status, 401);
+    const { link } = await (await fetch(`${server.url}/api/decks/${deck.id}/invites`, { method: 'POST', headers: ownerAuth })).json();
+    assert.strictEqual((await fetch(`${server.url}/deck/${deck.id}?token=${deck.deckToken}`, { redirect: 'manual' })).status, 403);
+
+    const opened = await fetch(server.url + link, { redirect: 'manual' });
+    assert.strictEqual(opened.status, 302);
+    const cookie = opened.headers.get('set-cookie').split(';')[0];
+    const shared = { Cookie: cookie };
+
+    const { decks } = await (await fetch(`${server.url}/api/decks`, { headers: shared })).json();
+    assert.deepStrictEqual(decks.map(d => [d.id, d.shared]), [[deck.id, true]]);
+    const own = await (await fetch(`${server.url}/api/decks`, { headers: ownerAuth })).json();
+    assert.strictEqual(own.decks.find(d => d.id === deck.id).shared, false);
+
+    const started = await fetch(`${server.url}/api/create-room`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...shared },
+      body: JSON.stringify({ deckId: deck.id })
+    });
+    assert.strictEqual(started.status, 200);
+
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}`, { headers: shared })).status, 401);
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}`, { method: 'PUT', body: await deckForm([]), headers: shared })).status, 401);
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}/invites`, { method: 'POST', headers: shared })).status, 401);
+    assert.strictEqual((await fetch(`${server.url}/api/decks/${deck.id}`, { method: 'DELETE', headers: shared })).status, 401);
+  });
+});
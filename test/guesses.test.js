@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoomWithImages, connect, once } = require('./support/server');
+
+// A room with one player in a running text round
+async function playingRoom(url, answers = ['Paris'], settings = null) {
+  const { roomId, hostToken, auth } = await createRoomWithImages(url, answers);
+  if (settings) {
+    await fetch(`${url}/api/settings/${roomId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify(settings)
+    });
+  }
+  const host = connect(url, roomId);
+  const player = connect(url, roomId);
+  host.emit('host-join', { roomId, token: hostToken });
+  await once(host, 'room-joined');
+  player.emit('player-join', { roomId, playerName: 'Alice', sessionId: `alice-${roomId}` });
+  await once(player, 'room-joined');
+  host.emit('start-game', { roomId });
+  await once(player, 'round-start');
+  return { roomId, host, player, close: () => { host.close(); player.close(); } };
+}
+
+test('guesses', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('players don\'t get custom hint text with the room settings', async () => {
+    const { roomId, hostToken, auth } = await createRoomWithImages(server.url, ['Paris']);
+    const hints = [{ type: 'text', at: 0.9, text: 'City of light' }];
+    await fetch(`${server.url}/api/settings/${roomId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify({ hints })
+    });
+
+    const info = await (await fetch(`${server.url}/api/room/${roomId}`)).json();
+    assert.deepStrictEqual(info.settings.hints, [{ type: 'text', at: 0.9 }]);
+
+    const host = connect(server.url, roomId);
+    const player = connect(server.url, roomId);
+    try {
+      host.emit('host-join', { roomId, token: hostToken });
+      assert.strictEqual((await once(host, 'room-joined')).settings.hints[0].text, 'City of light');
+      player.emit('player-join', { roomId, playerName: 'Bob', sessionId: 'bob' });
+      assert.deepStrictEqual((await once(player, 'room-joined')).settings.hints, [{ type: 'text', at: 0.9 }]);
+    } finally {
+      host.close();
+      player.close();
+    }
+  });
+
+  await t.test('a bought hint is charged once, not for the hints already free', async () => {
+    const { roomId, hostToken, auth } = await createRoomWithImages(server.url, ['Paris']);
+    await fetch(`${server.url}/api/settings/${roomId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify({ roundTime: 4, hints: 'classic', hintCost: 100 })
+    });
+    const host = connect(server.url, roomId);
+    const player = connect(server.url, roomId);
+    try {
+      host.emit('host-join', { roomId, token: hostToken });
+      await once(host, 'room-joined');
+      player.emit('player-join', { roomId, playerName: 'Cleo', sessionId: 'cleo' });
+      await once(player, 'room-joined');
+      host.emit('start-game', { roomId });
+      await once(player, 'round-start');
+
+      // First letter is free halfway through; the word count is still for sale
+      assert.strictEqual((await once(player, 'hint')).type, 'first-letter');
+      const charged = once(player, 'leaderboard-update');
+      player.emit('request-hint', { roomId });
+      const bought = await once(player, 'hint');
+      assert.strictEqual(bought.type, 'word-count');
+      // Paid up front, answer or not
+      assert.strictEqual((await charged).players[0].score, -100);
+
+      player.emit('submit-guess', { roomId, guess: 'paris' });
+      const result = await once(player, 'guess-result');
+      assert.deepStrictEqual(result.breakdown.find(line => line.label === 'Hints'), { label: 'Hints', points: -100 });
+    } finally {
+      host.close();
+      player.close();
+    }
+  });
+
+  await t.test('a very long guess is cut short before matching', async () => {
+    const { roomId, player, close } = await playingRoom(server.url);
+    try {
+      const started = Date.now();
+      player.emit('submit-guess', { roomId, guess: 'paris'.padEnd(50000, 'x') });
+      const result = await once(player, 'guess-result');
+      assert.strictEqual(result.correct, true); // the first 100 characters still contain "paris"
+      assert.ok(Date.now() - started < 1000, 'matching took too long');
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('a guess that isn\'t a string is ignored', async () => {
+    const { roomId, player, close } = await playingRoom(server.url);
+    try {
+      for (const guess of [12, null, ['paris']]) player.emit('submit-guess', { roomId, guess });
+      player.emit('submit-guess', { roomId, guess: 'paris' });
+      const result = await once(player, 'guess-result');
+      assert.strictEqual(result.correct, true);
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('skipping a round hands back its wrong-guess penalties', async () => {
+    const { roomId, host, player, close } = await playingRoom(server.url, ['Paris', 'Rome'], { scoring: 'negative' });
+    try {
+      const charged = once(player, 'leaderboard-update');
+      player.emit('submit-guess', { roomId, guess: 'madrid' });
+      assert.strictEqual((await charged).players[0].score, -100);
+
+      const refunded = once(player, 'leaderboard-update');
+      host.emit('skip-round', { roomId });
+      assert.strictEqual((await refunded).players[0].score, 0);
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('skipping a round hands back the hints bought in it', async () => {
+    const { roomId, host, player, close } = await playingRoom(server.url, ['Paris', 'Rome'], { hintCost: 50 });
+    try {
+      const charged = once(player, 'leaderboard-update');
+      player.emit('request-hint', { roomId });
+      await once(player, 'hint');
+      assert.strictEqual((await charged).players[0].score, -50);
+
+      const refunded = once(player, 'leaderboard-update');
+      host.emit('skip-round', { roomId });
+      assert.strictEqual((await refunded).players[0].score, 0);
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('skipping a round puts streaks back where they were', async () => {
+    const { roomId, hostToken, auth } = await createRoomWithImages(server.url, ['Paris', 'Rome', 'Berlin']);
+    await fetch(`${server.url}/api/settings/${roomId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify({ resultTime: 0 })
+    });
+    const host = connect(server.url, roomId);
+    const player = connect(server.url, roomId);
+    const idle = connect(server.url, roomId); // keeps the round open after the player answers
+    try {
+      host.emit('host-join', { roomId, token: hostToken });
+      await once(host, 'room-joined');
+      player.emit('player-join', { roomId, playerName: 'Dana', sessionId: 'dana' });
+      await once(player, 'room-joined');
+      idle.emit('player-join', { roomId, playerName: 'Eli', sessionId: 'eli' });
+      await once(idle, 'room-joined');
+      host.emit('start-game', { roomId });
+      await once(player, 'round-start');
+
+      player.emit('submit-guess', { roomId, guess: 'paris' });
+      assert.strictEqual((await once(player, 'guess-result')).streak, 1);
+      host.emit('end-round', { roomId });
+      await once(player, 'round-end');
+      host.emit('next-round', { roomId });
+      await once(player, 'round-start');
+
+      player.emit('submit-guess', { roomId, guess: 'rome' });
+      assert.strictEqual((await once(player, 'guess-result')).streak, 2);
+      host.emit('skip-round', { roomId });
+      await once(player, 'round-start');
+
+      player.emit('submit-guess', { roomId, guess: 'berlin' });
+      assert.strictEqual((await once(player, 'guess-result')).streak, 2);
+    } finally {
+      host.close();
+      player.close();
+      idle.close();
+    }
+  });
+
+  await t.test('oversized socket messages are dropped', async () => {
+    const { roomId, player, close } = await playingRoom(server.url);
+    try {
+      player.emit('submit-guess', { roomId, guess: 'x'.repeat(200000) });
+      await once(player, 'disconnect');
+    } finally {
+      close();
+    }
+  });
+});
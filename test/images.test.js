@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer, testImage, createRoomWithImages, connect, once } = require('./support/server');
+
+test('room images', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('malformed upload labels are rejected', async () => {
+    const room = await (await fetch(`${server.url}/api/create-room`, { method: 'POST' })).json();
+    const auth = { Authorization: `Bearer ${room.hostToken}` };
+    for (const answers of ['[not json', 'null', '{"0":"Paris"}']) {
+      const form = new FormData();
+      form.append('images', new Blob([await testImage()], { type: 'image/png' }), 'a.png');
+      form.append('answers', answers);
+      const res = await fetch(`${server.url}/api/upload/${room.roomId}`, { method: 'POST', body: form, headers: auth });
+      assert.strictEqual(res.status, 400, answers);
+      assert.match((await res.json()).error, /answers/);
+    }
+    assert.strictEqual((await fetch(`${server.url}/api/room/${room.roomId}`)).status, 200);
+  });
+
+  await t.test('reveal rounds only hand out the steps reached so far', async () => {
+    const { roomId, hostToken, auth } = await createRoomWithImages(server.url, ['Paris']);
+    await fetch(`${server.url}/api/settings/${roomId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify({ reveal: 'tiles', roundTime: 30 })
+    });
+
+    const host = connect(server.url, roomId);
+    const player = connect(server.url, roomId);
+    try {
+      host.emit('host-join', { roomId, token: hostToken });
+      await once(host, 'room-joined');
+      player.emit('player-join', { roomId, playerName: 'Alice', sessionId: 'alice-reveal' });
+      await once(player, 'room-joined');
+      host.emit('start-game', { roomId });
+      const round = await once(player, 'round-start');
+
+      assert.match(round.image, new RegExp(`^/api/reveal/${roomId}/\\w+/0$`));
+      assert.strictEqual(round.imageSrcset, '');
+      const first = await fetch(server.url + round.image);
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(first.headers.get('content-type'), 'image/webp');
+
+      for (const step of [5, 9, 10]) {
+        assert.strictEqual((await fetch(server.url + round.image.replace(/0$/, step))).status, 404, `step ${step}`);
+      }
+
+      host.emit('end-round', { roomId });
+      const end = await once(player, 'round-end');
+      assert.match(end.image, new RegExp(`^/api/round-image/${roomId}/[\\w-]+/medium$`));
+      assert.strictEqual((await fetch(server.url + round.image)).status, 404);
+    } finally {
+      host.close();
+      player.close();
+    }
+  });
+
+  await t.test('editing a label keeps the stored picture', async () => {
+    const { roomId, hostToken, auth } = await createRoomWithImages(server.url, ['Paris']);
+
+    const edit = await fetch(`${server.url}/api/image/${roomId}/0`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify({ answer: 'Eiffel Tower', aliases: 'Tour Eiffel' })
+    });
+    assert.strictEqual(edit.status, 200);
+    const { image } = await edit.json();
+    assert.strictEqual(image.answer, 'Eiffel Tower');
+    assert.deepStrictEqual(image.aliases, ['Tour Eiffel']);
+    assert.strictEqual(image.hash, undefined);
+
+    const exported = await fetch(`${server.url}/api/export/${roomId}`, { headers: auth });
+    assert.strictEqual(exported.status, 200);
+
+    const host = connect(server.url, roomId);
+    const player = connect(server.url, roomId);
+    try {
+      host.emit('host-join', { roomId, token: hostToken });
+      await once(host, 'room-joined');
+      player.emit('player-join', { roomId, playerName: 'Alice', sessionId: 'alice' });
+      await once(player, 'room-joined');
+
+      host.emit('start-game', { roomId });
+      const round = await once(player, 'round-start');
+      assert.match(round.image, new RegExp(`^/api/round-image/${roomId}/[\\w-]+/medium$`));
+      assert.strictEqual((await fetch(server.url + round.image)).status, 200);
+    } finally {
+      host.close();
+      player.close();
+    }
+  });
+
+  await t.test('a round\'s image URL stops working once the round is over', async () => {
+    const png = await testImage();
+    const { roomId, hostToken, auth } = await createRoomWithImages(server.url, ['Paris', 'Rome']);
+    await fetch(`${server.url}/api/settings/${roomId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify({ resultTime: 0 })
+    });
+
+    const host = connect(server.url, roomId);
+    const player = connect(server.url, roomId);
+    try {
+      host.emit('host-join', { roomId, token: hostToken });
+      await once(host, 'room-joined');
+      player.emit('player-join', { roomId, playerName: 'Alice', sessionId: 'alice-expiry' });
+      await once(player, 'room-joined');
+
+      host.emit('start-game', { roomId });
+      const first = await once(player, 'round-start');
+      const sha1 = crypto.createHash('sha1').update(png).digest('hex');
+      assert.ok(!first.image.includes(sha1) && !first.imageSrcset.includes(sha1));
+      for (const src of first.imageSrcset.split(', ')) {
+        assert.strictEqual((await fetch(server.url + src.split(' ')[0])).status, 200, src);
+      }
+
+      host.emit('end-round', { roomId });
+      await once(player, 'round-end');
+      assert.strictEqual((await fetch(server.url + first.image)).status, 200); // still on the result screen
+
+      host.emit('next-round', { roomId });
+      const second = await once(player, 'round-start');
+      assert.notStrictEqual(second.image, first.image);
+      assert.strictEqual((await fetch(server.url + first.image)).status, 404);
+      assert.strictEqual((await fetch(server.url + second.image.replace(/medium$/, 'original'))).status, 404);
+
+      host.emit('end-game', { roomId });
+      await once(player, 'game-over');
+      assert.strictEqual((await fetch(server.url + second.image)).status, 404);
+    } finally {
+      host.close();
+      player.close();
+    }
+  });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STRICTNESS_LEVELS, matchAnswer, answerSimilarity, checkAnswer } = require('../matcher');
+
+// Real guesses from games, with the score each strictness level should
+// give them. A change to matching that moves any of these is a change to
+// how the game plays: update the fixture on purpose, not to make CI pass.
+const cases = require('./fixtures/guesses.json');
+
+for (const { answer, guess, language = 'auto', expected } of cases) {
+  test(`"${guess}" for "${answer}"`, () => {
+    for (const level of STRICTNESS_LEVELS) {
+      assert.strictEqual(checkAnswer(guess, answer, language, level), expected[level], level);
+    }
+  });
+}
+
+test('fixture covers every strictness level', () => {
+  for (const { expected } of cases) {
+    assert.deepStrictEqual(Object.keys(expected).sort(), [...STRICTNESS_LEVELS].sort());
+  }
+});
+
+test('stricter levels never score a guess higher', () => {
+  for (const { answer, guess, language = 'auto' } of cases) {
+    const scores = STRICTNESS_LEVELS.map(level => checkAnswer(guess, answer, language, level));
+    for (let i = 1; i < scores.length; i++) {
+      assert.ok(scores[i - 1] <= scores[i], `${guess} / ${answer}: ${scores.join(' ')}`);
+    }
+  }
+});
+
+test('unknown strictness plays lenient', () => {
+  for (const { answer, guess, language = 'auto', expected } of cases) {
+    assert.strictEqual(checkAnswer(guess, answer, language, undefined), expected.lenient);
+    assert.strictEqual(checkAnswer(guess, answer, language, 'bogus'), expected.lenient);
+  }
+});
+
+test('empty guesses never score', () => {
+  assert.strictEqual(checkAnswer('', 'Paris'), 0);
+  assert.strictEqual(checkAnswer('   ', 'Paris'), 0);
+  assert.strictEqual(checkAnswer('!!!', 'Paris'), 0);
+  assert.strictEqual(matchAnswer('', { answer: 'Paris' }), 0);
+});
+
+test('guesses that aren\'t strings never score', () => {
+  for (const guess of [12, null, undefined, {}, ['paris'], true]) {
+    assert.strictEqual(checkAnswer(guess, 'Paris'), 0);
+    assert.strictEqual(matchAnswer(guess, { answer: 'Paris' }), 0);
+    assert.strictEqual(answerSimilarity(guess, { answer: 'Paris' }), 0);
+  }
+});
+
+test('matchAnswer keeps the best of the answer and its aliases', () => {
+  const image = { answer: 'Christ the Redeemer', aliases: ['Cristo Redentor'] };
+  assert.strictEqual(matchAnswer('cristo redentor', image, 'auto', 'exact'), 1.0);
+  assert.strictEqual(matchAnswer('christ redeemer', image, 'auto', 'exact'), 0.95);
+  assert.strictEqual(matchAnswer('jesus statue', image, 'auto', 'very-lenient'), 0);
+});
+
+test('matchAnswer rejects the image\'s listed near-misses', () => {
+  const image = { answer: 'Austria', rejected: ['Australia'] };
+  assert.strictEqual(matchAnswer('Australia', image, 'auto', 'very-lenient'), 0);
+  assert.strictEqual(matchAnswer('austria', image, 'auto', 'exact'), 1.0);
+  assert.ok(matchAnswer('austira', image, 'auto', 'lenient') > 0);
+});
+
+test('answerSimilarity ranks near misses by edit distance', () => {
+  const image = { answer: 'Niagara Falls' };
+  assert.strictEqual(answerSimilarity('niagara falls', image), 1);
+  assert.ok(answerSimilarity('niagra falls', image) > answerSimilarity('viagra falls', image));
+  assert.ok(answerSimilarity('viagra falls', image) > answerSimilarity('big ben', image));
+});
+
+test('exact rooms don\'t take a list of guesses for the answer', () => {
+  const image = { answer: 'Rome' };
+  assert.strictEqual(matchAnswer('paris london rome berlin', image, 'auto', 'exact'), 0);
+  assert.strictEqual(matchAnswer('rome', image, 'auto', 'exact'), 1.0);
+  assert.strictEqual(matchAnswer('paris london rome berlin', image, 'auto', 'lenient'), 1.0);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { reportToCsv } = require('../report');
+const { startServer, createRoomWithImages, connect, once } = require('./support/server');
+
+function guessesCsv(guesses) {
+  return reportToCsv({ guesses }, 'guesses').split('\r\n')[1];
+}
+
+test('text that looks like a formula is exported as plain text', () => {
+  for (const guess of ['=HYPERLINK("http://x","y")', '+1+1', '-2+3', '@SUM(A1)']) {
+    const row = guessesCsv([{ round: 1, answer: 'Paris', player: 'Alice', guess, points: 0 }]);
+    assert.ok(row.includes(`'${guess[0]}`), row);
+  }
+});
+
+test('negative points stay numbers', () => {
+  const row = guessesCsv([{ round: 1, answer: 'Paris', player: '=cmd', guess: 'rome', points: -100 }]);
+  assert.strictEqual(row, `1,Paris,'=cmd,rome,,,,,-100,`);
+});
+
+test('cells with commas and quotes are quoted', () => {
+  const row = guessesCsv([{ round: 1, answer: 'Washington, D.C.', player: 'Bo "B"', guess: 'dc', points: 0 }]);
+  assert.strictEqual(row, `1,"Washington, D.C.","Bo ""B""",dc,,,,,0,`);
+});
+
+test('report access', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('the host keeps a report cookie that outlasts the host cookie', async () => {
+    const { roomId, hostToken, auth } = await createRoomWithImages(server.url, ['Paris']);
+    const host = connect(server.url, roomId);
+    try {
+      host.emit('host-join', { roomId, token: hostToken });
+      await once(host, 'room-joined');
+      host.emit('start-game', { roomId });
+      await once(host, 'round-start');
+      host.emit('end-game', { roomId });
+      await once(host, 'game-over');
+    } finally {
+      host.close();
+    }
+
+    assert.strictEqual((await fetch(`${server.url}/api/report/${roomId}`)).status, 401);
+    const loaded = await fetch(`${server.url}/api/report/${roomId}`, { headers: auth });
+    assert.strictEqual(loaded.status, 200);
+    const cookie = loaded.headers.get('set-cookie');
+    assert.match(cookie, /Max-Age=7776000/);
+    const reportCookie = { Cookie: cookie.split(';')[0] };
+
+    // No host credentials at all, just the report cookie
+    assert.strictEqual((await fetch(`${server.url}/api/report/${roomId}`, { headers: reportCookie })).status, 200);
+    const { reports } = await (await fetch(`${server.url}/api/reports`, { headers: reportCookie })).json();
+    assert.deepStrictEqual(reports.map(r => [r.roomId, r.rounds]), [[roomId, 1]]);
+    assert.deepStrictEqual((await (await fetch(`${server.url}/api/reports`)).json()).reports, []);
+  });
+});
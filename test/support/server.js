@@ -0,0 +1,67 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { io } = require('socket.io-client');
+
+// Runs server.js in a child process on a free port with a throwaway
+// DATA_DIR, for tests that go through HTTP and sockets like a real client.
+
+function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtp-test-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: { ...process.env, PORT: '0', STORAGE: 'memory', DATA_DIR: dataDir, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+  return new Promise((resolve, reject) => {
+    child.on('exit', (code) => reject(new Error(`server exited with ${code}: ${stderr}`)));
+    child.stdout.on('data', function onData(chunk) {
+      const match = /running on port (\d+)/.exec(chunk);
+      if (!match) return;
+      child.stdout.off('data', onData);
+      resolve({
+        url: `http://127.0.0.1:${match[1]}`,
+        child,
+        async stop() {
+          child.removeAllListeners('exit');
+          child.kill('SIGTERM');
+          await new Promise(res => child.once('exit', res));
+          fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+      });
+    });
+  });
+}
+
+// A small solid-colour PNG, enough for the media pipeline
+function testImage() {
+  return sharp({ create: { width: 64, height: 48, channels: 3, background: '#3a7' } }).png().toBuffer();
+}
+
+// New room with one uploaded image per answer. Returns { roomId, hostToken, auth }.
+async function createRoomWithImages(url, answers) {
+  const room = await (await fetch(`${url}/api/create-room`, { method: 'POST' })).json();
+  const auth = { Authorization: `Bearer ${room.hostToken}` };
+  const form = new FormData();
+  const png = await testImage();
+  for (const [i] of answers.entries()) form.append('images', new Blob([png], { type: 'image/png' }), `${i}.png`);
+  form.append('answers', JSON.stringify(answers));
+  const res = await fetch(`${url}/api/upload/${room.roomId}`, { method: 'POST', body: form, headers: auth });
+  if (!res.ok) throw new Error(`upload failed: ${res.status}`);
+  return { ...room, auth };
+}
+
+function connect(url, roomId) {
+  return io(url, { forceNew: true, transports: ['websocket'], query: { roomId } });
+}
+
+function once(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+module.exports = { startServer, testImage, createRoomWithImages, connect, once };